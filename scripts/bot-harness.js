@@ -0,0 +1,139 @@
+/**
+ * Bot harness - plays thousands of headless games with the autopilot bots and
+ * reports how they score, or trains the neural bot by neuro-evolution.
+ * Every strategy plays the same courses (seeds SEED, SEED + 1, ...), so the
+ * numbers compare; changing the engine constants shows how they shift.
+ *
+ * Usage:
+ *   node scripts/bot-harness.js benchmark   score distribution per strategy
+ *   node scripts/bot-harness.js train       evolve weights for the neural bot
+ *
+ *   GAMES=1000           games per strategy (benchmark)
+ *   STRATEGIES=a,b       strategies to compare (benchmark; default all)
+ *   MODE=classic         game mode whose rules are used
+ *   SEED=1               first course seed
+ *   MAX_SECONDS=600      runs still alive after this are stopped
+ *   ENGINE='{"gravity":0.45}'   engine constants to override; setting pipeGap,
+ *                        pipeSpeed or spawnInterval replaces the mode's
+ *                        difficulty curve with those fixed values
+ *   POPULATION=40 GENERATIONS=25 TRAIN_GAMES=3   evolution settings (train)
+ */
+
+import { getModeConfig, TICKS_PER_SECOND } from '../src/game/modes.js';
+import { BOT_ORDER, BOT_STRATEGIES, createBot, playGame } from '../src/bot/index.js';
+import { evolve, DEFAULT_EVOLUTION } from '../src/bot/evolution.js';
+
+const env = process.env;
+const GAMES = Number(env.GAMES) || 1000;
+const MODE = env.MODE || 'classic';
+const SEED = Number(env.SEED) || 1;
+const MAX_TICKS = (Number(env.MAX_SECONDS) || 600) * TICKS_PER_SECOND;
+const ENGINE = env.ENGINE ? JSON.parse(env.ENGINE) : {};
+const STRATEGIES = env.STRATEGIES ? env.STRATEGIES.split(',') : BOT_ORDER;
+const HISTOGRAM_WIDTH = 40;
+
+// The difficulty curve sets these every tick, so overriding one means no curve
+const CURVE_KEYS = ['pipeGap', 'pipeSpeed', 'spawnInterval'];
+const FLAT_CURVE = CURVE_KEYS.some(key => key in ENGINE);
+
+const getConfig = (seed) => ({
+  ...getModeConfig(MODE),
+  ...(FLAT_CURVE && { difficulty: null }),
+  ...ENGINE,
+  seed,
+});
+
+const percentile = (sorted, share) =>
+  sorted[Math.min(Math.floor(sorted.length * share), sorted.length - 1)];
+
+const getMean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const getSpread = (values) => {
+  const mean = getMean(values);
+  return Math.sqrt(getMean(values.map(value => (value - mean) ** 2)));
+};
+
+const countBy = (items, key) => items.reduce((counts, item) =>
+  ({ ...counts, [item[key]]: (counts[item[key]] ?? 0) + 1 }), {});
+
+const printHistogram = (scores) => {
+  const top = scores[scores.length - 1];
+  const size = Math.max(Math.ceil((top + 1) / 10), 1);
+  const buckets = Array.from({ length: Math.floor(top / size) + 1 }, () => 0);
+  scores.forEach(score => {
+    buckets[Math.floor(score / size)] += 1;
+  });
+  const most = Math.max(...buckets);
+  buckets.forEach((count, i) => {
+    const range = `${i * size}-${(i + 1) * size - 1}`.padStart(11);
+    const bar = '#'.repeat(Math.round((count / most) * HISTOGRAM_WIDTH));
+    console.log(`  ${range} | ${bar} ${count}`);
+  });
+};
+
+const benchmark = () => {
+  console.log(`${GAMES} games per strategy, mode ${MODE}, up to ${MAX_TICKS / TICKS_PER_SECOND} s each`);
+  if (env.ENGINE) console.log(`engine overrides: ${env.ENGINE}`);
+  if (FLAT_CURVE) console.log('difficulty curve off: obstacles keep the values above');
+
+  STRATEGIES.forEach(strategyId => {
+    if (!BOT_STRATEGIES[strategyId]) {
+      console.log(`\n${strategyId}: unknown strategy (${BOT_ORDER.join(', ')})`);
+      return;
+    }
+    const bot = createBot(strategyId);
+    const started = Date.now();
+    const runs = Array.from({ length: GAMES }, (_, i) =>
+      playGame(bot, getConfig(SEED + i), { maxTicks: MAX_TICKS }));
+    const scores = runs.map(run => run.score).sort((a, b) => a - b);
+    const seconds = runs.map(run => run.ticks / TICKS_PER_SECOND).sort((a, b) => a - b);
+    const causes = Object.entries(countBy(runs, 'cause'))
+      .map(([cause, count]) => `${cause} ${((count / runs.length) * 100).toFixed(1)}%`)
+      .join(', ');
+
+    console.log(`\n${strategyId} (${((Date.now() - started) / 1000).toFixed(1)} s)`);
+    console.log(`  score: mean ${getMean(scores).toFixed(2)} ± ${getSpread(scores).toFixed(2)}  ` +
+      `median ${percentile(scores, 0.5)}  p10 ${percentile(scores, 0.1)}  p90 ${percentile(scores, 0.9)}  ` +
+      `max ${scores[scores.length - 1]}`);
+    console.log(`  survived: mean ${getMean(seconds).toFixed(1)} s  ` +
+      `p10 ${percentile(seconds, 0.1).toFixed(1)} s  p90 ${percentile(seconds, 0.9).toFixed(1)} s`);
+    console.log(`  ended by: ${causes}`);
+    printHistogram(scores);
+  });
+};
+
+const train = () => {
+  const trainGames = Number(env.TRAIN_GAMES) || 3;
+  const options = {
+    population: Number(env.POPULATION) || DEFAULT_EVOLUTION.population,
+    generations: Number(env.GENERATIONS) || DEFAULT_EVOLUTION.generations,
+    seed: SEED,
+  };
+  // Ticks survived, averaged over a few courses so one lucky course does not decide
+  const evaluate = (weights) => {
+    const bot = createBot('neural', { weights });
+    let ticks = 0;
+    for (let i = 0; i < trainGames; i++) {
+      ticks += playGame(bot, getConfig(SEED + i), { maxTicks: MAX_TICKS }).ticks;
+    }
+    return ticks / trainGames;
+  };
+
+  console.log(`population ${options.population}, ${options.generations} generations, ${trainGames} games each`);
+  const { genome, fitness } = evolve(evaluate, {
+    ...options,
+    onGeneration: ({ generation, best, average }) => {
+      console.log(`  generation ${String(generation).padStart(3)}: best ${best.toFixed(0)} ticks, average ${average.toFixed(0)}`);
+    },
+  });
+  console.log(`\nbest: ${(fitness / TICKS_PER_SECOND).toFixed(1)} s on average`);
+  console.log(JSON.stringify(genome.map(weight => Math.round(weight * 1000) / 1000)));
+};
+
+const commands = { benchmark, train };
+const command = commands[process.argv[2]];
+if (!command) {
+  console.error(`Usage: node scripts/bot-harness.js <${Object.keys(commands).join('|')}>`);
+  process.exit(1);
+}
+command();
@@ -0,0 +1,153 @@
+/**
+ * Mock leaderboard server - an in-memory implementation of the remote
+ * leaderboard protocol used by `createHttpLeaderboard`, for local testing.
+ *
+ *   GET  /api/scores?limit=10&mode=classic
+ *                              -> 200 { scores: [{ id, score, date, mode, playerName, difficulty }] }
+ *   POST /api/scores           -> 201 { entry, rank }  (200 if the score was already submitted)
+ *                                 400 { error }        for malformed scores
+ *                                 413 { error }        for bodies over 4 KB
+ *
+ * Ids are given out by the server; the client's id only tells a retried
+ * submission from a new one, together with the player's name.
+ *
+ * Usage: node server/mock-leaderboard.js
+ *   PORT=8787            listening port
+ *   MOCK_FAIL_RATE=0.3   fraction of requests answered with 503, to exercise retries
+ */
+
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE) || 0;
+const MAX_LIMIT = 100;
+const DEFAULT_MODE = 'classic';
+const MAX_BODY_BYTES = 4096;
+
+const scores = [];
+// Stored entries by the submission they came from, see submissionKey
+const submissions = new Map();
+let nextId = 1;
+
+class BodyTooLargeError extends Error {
+  constructor() {
+    super(`body is larger than ${MAX_BODY_BYTES} bytes`);
+    this.name = 'BodyTooLargeError';
+  }
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+// Stops collecting past MAX_BODY_BYTES; the rest is read and thrown away
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+      req.resume();
+      reject(new BodyTooLargeError());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new BodyTooLargeError());
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+const validateEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return 'body must be an object';
+  if (typeof entry.id !== 'number' || !Number.isFinite(entry.id)) return 'id must be a number';
+  if (!Number.isInteger(entry.score) || entry.score < 0) return 'score must be a non-negative integer';
+  if (typeof entry.date !== 'string') return 'date must be a string';
+  if (entry.mode != null && typeof entry.mode !== 'string') return 'mode must be a string';
+  if (entry.playerName != null && typeof entry.playerName !== 'string') return 'playerName must be a string';
+  if (entry.difficulty != null && typeof entry.difficulty !== 'string') return 'difficulty must be a string';
+  return null;
+};
+
+// Client ids are timestamps, so two players can submit the same one
+const submissionKey = (entry) => JSON.stringify([entry.id, entry.playerName ?? null]);
+
+const rankOf = (entry) =>
+  scores.filter(other => other.mode === entry.mode && other.score > entry.score).length + 1;
+
+const handle = async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (FAIL_RATE > 0 && Math.random() < FAIL_RATE) {
+    return send(res, 503, { error: 'simulated outage' });
+  }
+
+  if (url.pathname === '/api/scores' && req.method === 'GET') {
+    const limit = Math.max(1, Math.min(Math.floor(Number(url.searchParams.get('limit'))) || 10, MAX_LIMIT));
+    const mode = url.searchParams.get('mode') || DEFAULT_MODE;
+    const top = scores
+      .filter(entry => entry.mode === mode)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    return send(res, 200, { scores: top });
+  }
+
+  if (url.pathname === '/api/scores' && req.method === 'POST') {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      if (error instanceof BodyTooLargeError) return send(res, 413, { error: error.message });
+      throw error;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(body);
+    } catch {
+      return send(res, 400, { error: 'invalid JSON' });
+    }
+
+    const error = validateEntry(entry);
+    if (error) return send(res, 400, { error });
+
+    // Submissions are retried by clients, so each one is accepted once
+    const key = submissionKey(entry);
+    const existing = submissions.get(key);
+    if (existing) return send(res, 200, { entry: existing, rank: rankOf(existing) });
+
+    const stored = {
+      id: nextId++,
+      score: entry.score,
+      date: entry.date,
+      mode: entry.mode ?? DEFAULT_MODE,
+      playerName: entry.playerName ?? null,
+      difficulty: entry.difficulty ?? null,
+    };
+    scores.push(stored);
+    submissions.set(key, stored);
+    return send(res, 201, { entry: stored, rank: rankOf(stored) });
+  }
+
+  return send(res, 404, { error: 'not found' });
+};
+
+createServer((req, res) => {
+  handle(req, res).catch(error => {
+    console.error(error);
+    send(res, 500, { error: 'internal error' });
+  });
+}).listen(PORT, () => {
+  console.log(`Mock leaderboard listening on http://localhost:${PORT}`);
+});
@@ -1,6 +1,91 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { motion, AnimatePresence, MotionConfig, useReducedMotion } from 'framer-motion';
 import * as LucideIcons from 'lucide-react';
+import { createGame, interpolateState } from './game/engine';
+import { createFixedStepLoop, TICK_MS } from './game/loop';
+import { generateSeed, parseSeed, formatSeed } from './game/random';
+import {
+  GAME_MODES,
+  MODE_ORDER,
+  DEFAULT_MODE,
+  RANKED_MODES,
+  TICKS_PER_SECOND,
+  getMode,
+  getModeConfig
+} from './game/modes';
+import { DIFFICULTY_CURVES, DIFFICULTY_PRESETS } from './game/difficulty';
+import { EFFECTS } from './game/powerups';
+import { LOOK_SLOTS, BIRD_SKINS, isItemUnlocked, resolveLook } from './game/themes';
+import { createReplay, recordJump, finishReplay, createReplayGame } from './game/replay';
+import { storage } from './storage';
+import { DEFAULT_KEY_BINDINGS, DEFAULT_GAMEPAD_BINDINGS } from './storage/collections';
+import { createInputManager, createInputBuffer, bindInput, formatButton } from './input';
+import {
+  serializeJSON,
+  serializeCSV,
+  parseLeaderboardFile,
+  findDuplicates
+} from './storage/transfer';
+import {
+  LEADERBOARD_SIZE,
+  getLeaderboard,
+  saveScore,
+  isTopScore,
+  getModeScores,
+  remoteLeaderboard,
+  watchRemoteQueue
+} from './leaderboard';
+import {
+  PROFILE_NAME_LENGTH,
+  normalizeName,
+  saveProfiles,
+  getActiveProfile,
+  selectProfileByName,
+  renameProfile,
+  deleteProfile,
+  getBestScore,
+  recordProfileScore,
+  getCoins,
+  addProfileCoins,
+  getWardrobe,
+  getUnlockProgress,
+  equipItem,
+  buyItem,
+  migrateLegacyScores,
+  migrateLegacyTheme,
+  importLeaderboard,
+  getEntryPlayerName
+} from './profiles';
+import { drawScene, drawLookPreview } from './game/renderer';
+import { isNightTime } from './game/parallax';
+import { ACHIEVEMENTS, createAchievementTracker, getAchievementRecord } from './achievements';
+import { getRuns, recordRun, assignRun, summarizeRuns, getScoreHistogram, getProgress, STREAK_SCORE } from './stats';
+import {
+  DAILY_ATTEMPTS,
+  DAILY_MODE,
+  DAILY_DIMENSIONS,
+  getDailyKey,
+  getDailySeed,
+  getDailyBoardId,
+  getDailyDay,
+  getAttemptsLeft,
+  spendAttempt,
+  recordDailyScore,
+  getDailyStreak,
+  pruneDailyBoards
+} from './daily';
+import { createBot, createAssist } from './bot';
+import {
+  VERSUS_FORMATS,
+  VERSUS_PLAYERS,
+  getVersusConfig,
+  findVersusPlayer,
+  createVersusMatch,
+  createVersusTurn,
+  getWinner
+} from './versus';
+import { audio } from './audio';
+import { AUTO_LOCALE, LOCALES, LOCALE_ORDER, createI18n, resolveLocale } from './i18n';
 
 // SafeIcon component for dynamic icon rendering
 const SafeIcon = ({ name, size = 24, className = '', color }) => {
@@ -23,31 +108,185 @@ const getGameDimensions = () => {
   }
 };
 
-const BIRD_SIZE = 34;
-const PIPE_WIDTH = 60;
-const PIPE_GAP = 160;
-const GRAVITY = 0.5;
-const JUMP_STRENGTH = -9;
-const PIPE_SPEED = 3;
-
-// Leaderboard functions
-const getLeaderboard = () => {
-  const data = localStorage.getItem('flappyLeaderboard');
-  return data ? JSON.parse(data) : [];
+// Icon and colours of each game mode card
+const MODE_STYLES = {
+  classic: { icon: 'bird', badge: 'bg-green-500', button: 'from-green-500 to-emerald-600' },
+  zen: { icon: 'leaf', badge: 'bg-teal-500', button: 'from-teal-400 to-cyan-500' },
+  timeAttack: { icon: 'timer', badge: 'bg-blue-500', button: 'from-blue-500 to-indigo-600' },
+  hardcore: { icon: 'flame', badge: 'bg-red-500', button: 'from-red-500 to-orange-600' }
 };
 
-const saveScore = (score) => {
-  const leaderboard = getLeaderboard();
-  const newEntry = {
-    score,
-    date: new Date().toLocaleDateString('ru-RU'),
-    id: Date.now()
-  };
-  const updated = [...leaderboard, newEntry]
+// Icon of each local versus format
+const VERSUS_FORMAT_ICONS = { split: 'users', turns: 'repeat' };
+
+// HUD icon and colour of each timed power-up
+const EFFECT_STYLES = {
+  shield: { icon: 'shield', badge: 'bg-blue-500/90', bar: 'bg-blue-200' },
+  slowMo: { icon: 'hourglass', badge: 'bg-purple-500/90', bar: 'bg-purple-200' },
+  shrink: { icon: 'minimize-2', badge: 'bg-pink-500/90', bar: 'bg-pink-200' }
+};
+
+// Settings functions
+const getSettings = () => storage.get('settings');
+
+// Volume rows of the settings view; `preview` is played when a slider is released
+const AUDIO_CHANNELS = [
+  { id: 'sfx', icon: 'volume-2', volume: 'sfxVolume', muted: 'sfxMuted', preview: 'score' },
+  { id: 'music', icon: 'music', volume: 'musicVolume', muted: 'musicMuted', preview: null }
+];
+
+// Rebindable keyboard actions, in the order the settings view lists them
+const KEY_ACTIONS = [
+  { id: 'jump', icon: 'arrow-up' },
+  { id: 'pause', icon: 'pause' },
+  { id: 'back', icon: 'log-out' }
+];
+
+// Binding tables in the settings and the input source each one listens to
+const INPUT_DEVICES = [
+  { id: 'keys', source: 'keyboard', icon: 'keyboard' },
+  { id: 'gamepad', source: 'gamepad', icon: 'gamepad-2' }
+];
+
+// Language-neutral key names; the rest come from the locale catalog or the code itself
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  Enter: 'Enter',
+  Backspace: 'Backspace',
+  Tab: 'Tab',
+  ShiftLeft: 'Shift',
+  ShiftRight: 'Shift',
+  ControlLeft: 'Ctrl',
+  ControlRight: 'Ctrl',
+  AltLeft: 'Alt',
+  AltRight: 'Alt'
+};
+
+// Readable name of a KeyboardEvent.code, e.g. KeyP -> P
+const formatKey = (code, t) =>
+  t(`keys.${code}`, { fallback: KEY_LABELS[code] ?? code.replace(/^(Key|Digit|Numpad)/, '') });
+const formatButtons = (buttons) => (buttons.length > 0 ? buttons.map(formatButton).join(' / ') : '—');
+const formatKeys = (codes, t) => (codes.length > 0 ? codes.map(code => formatKey(code, t)).join(' / ') : '—');
+
+const REDUCED_MOTION_OPTIONS = ['system', 'on', 'off'];
+// framer-motion's MotionConfig value for each reduced motion setting
+const MOTION_CONFIG = { system: 'user', on: 'always', off: 'never' };
+
+// How often the FPS counter is refreshed
+const FPS_SAMPLE_MS = 500;
+
+// Row of mutually exclusive option buttons used throughout the settings view
+const OptionGroup = ({ options, value, onChange }) => (
+  <div className="flex flex-wrap gap-2">
+    {options.map(option => (
+      <button
+        key={option.id}
+        onClick={() => onChange(option.id)}
+        className={`px-4 py-2 rounded-full font-bold text-sm transition-colors ${
+          value === option.id ? 'bg-pink-500 text-white shadow' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+// How long an achievement toast stays on screen
+const ACHIEVEMENT_TOAST_MS = 3500;
+
+// The progress chart shows this many recent runs, drawn into a 100 × 100 viewBox
+const STATS_CHART_RUNS = 100;
+
+const toChartPoints = (values, max) => values.map((value, i) => {
+  const x = values.length > 1 ? (i / (values.length - 1)) * 100 : 50;
+  return `${x},${100 - (value / max) * 100}`;
+}).join(' ');
+
+// Canvas size of the item previews in the wardrobe
+const LOOK_PREVIEW_WIDTH = 160;
+const LOOK_PREVIEW_HEIGHT = 120;
+
+// Offers text as a file download
+const downloadFile = (fileName, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Some browsers start the download asynchronously, after this task
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Replay functions - the last runs plus the best-scoring ones of each mode
+const REPLAY_LIMIT = 10;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// Seconds counted down before a paused run continues
+const RESUME_COUNTDOWN = 3;
+const REPLAY_CAUSES = ['ground', 'pipe', 'time'];
+
+const getReplays = () => storage.get('replays');
+
+// Runs recorded before game modes existed are classic runs
+const getReplayMode = (replay) => replay.mode ?? DEFAULT_MODE;
+
+// High scores in one mode must not push the ghosts of the others out
+const keepBestReplays = (replays) => {
+  const counts = {};
+  return [...replays]
     .sort((a, b) => b.score - a.score)
-    .slice(0, 10);
-  localStorage.setItem('flappyLeaderboard', JSON.stringify(updated));
-  return updated;
+    .filter(replay => {
+      const mode = getReplayMode(replay);
+      counts[mode] = (counts[mode] ?? 0) + 1;
+      return counts[mode] <= REPLAY_LIMIT;
+    });
+};
+
+const saveReplay = (replay) => {
+  const { recent, best } = getReplays();
+  const updated = {
+    recent: [replay, ...recent].slice(0, REPLAY_LIMIT),
+    best: keepBestReplays(replay.score > 0 ? [...best, replay] : best)
+  };
+  return storage.set('replays', updated);
+};
+
+const findReplay = (replays, id) =>
+  [...replays.recent, ...replays.best].find(replay => replay.id === id) || null;
+
+// A replay can be raced when the current rules of its mode would reproduce it
+const isRaceable = (replay, width, height, preset) => {
+  const { difficulty, powerups } = getModeConfig(getReplayMode(replay), { preset });
+  return replay.width === width &&
+    replay.height === height &&
+    replay.difficulty === (difficulty?.id ?? null) &&
+    (replay.powerups ?? null) === (powerups?.id ?? null);
+};
+
+// Best recorded run on the same course and mode, raced as a ghost
+const findGhostReplay = (replays, { seed, width, height }, mode, preset) =>
+  replays.best.find(replay =>
+    replay.seed === seed &&
+    getReplayMode(replay) === mode &&
+    isRaceable(replay, width, height, preset)
+  ) || null;
+
+// A new run follows the rules of the chosen game mode and difficulty preset
+const createRun = (dimensions, seed, mode, preset) => ({
+  ...createGame({ ...getModeConfig(mode, { preset }), ...dimensions, seed }),
+  mode
+});
+
+// Runs on a preset other than the mode's own curve are tagged on the leaderboard
+const getRunPreset = (config, mode) => {
+  const { presets, engine } = getMode(mode);
+  const curve = config.difficulty?.id ?? null;
+  return presets && curve !== engine.difficulty ? curve : null;
 };
 
 // Main App Component
@@ -58,27 +297,177 @@ function App() {
   // Game state
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
-  const animationRef = useRef(null);
   const [gameState, setGameState] = useState('ready');
   const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const lb = getLeaderboard();
-    return lb.length > 0 ? lb[0].score : 0;
-  });
+  const [stage, setStage] = useState(null);
+  const [timeLeft, setTimeLeft] = useState(null);
+  const [countdown, setCountdown] = useState(null);
+  const pausedRef = useRef(false);
+  const [runCoins, setRunCoins] = useState(0);
+  const [activeEffects, setActiveEffects] = useState([]);
+  const effectBarRefs = useRef({});
+  const [gameMode, setGameMode] = useState(DEFAULT_MODE);
+  // Day key of the daily challenge being played, null for ordinary runs
+  const [dailyRun, setDailyRun] = useState(null);
+  const dailyRunRef = useRef(null);
+  dailyRunRef.current = dailyRun;
+  // Whether a bot plays the run ('demo') or helps the player ('assist'); such
+  // runs are not recorded anywhere
+  const [demoRun, setDemoRun] = useState(false);
+  const [autopilot, setAutopilot] = useState(null);
+  // `{ kind, bot }` for the run being prepared or played, read by the tick
+  const autopilotRef = useRef(null);
+  // Leaderboard the current run is entered on
+  const scoreBoard = dailyRun ? getDailyBoardId(dailyRun) : gameMode;
   const [leaderboard, setLeaderboard] = useState([]);
+  const [leaderboardMode, setLeaderboardMode] = useState(DEFAULT_MODE);
+  const [leaderboardFilter, setLeaderboardFilter] = useState('all');
+  const [leaderboardTab, setLeaderboardTab] = useState('local');
+  const [runs, setRuns] = useState(getRuns);
+  const [statsMode, setStatsMode] = useState('all');
+  const [globalBoard, setGlobalBoard] = useState({ status: 'idle', entries: [] });
+  const [dailyBoard, setDailyBoard] = useState({ status: 'idle', entries: [] });
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const importInputRef = useRef(null);
+
+  // Settings
+  const [settings, setSettings] = useState(getSettings);
+  const [rebinding, setRebinding] = useState(null);
+  const [gamepads, setGamepads] = useState([]);
+  const i18n = useMemo(() => createI18n(resolveLocale(settings.language)), [settings.language]);
+  const { t, formatNumber, formatDate, formatDateTime } = i18n;
+
+  // Player profiles; names nobody typed are the translated word for a player
+  const defaultPlayerName = t('leaderboard.player');
+  const [profileStore, setProfileStore] = useState(() =>
+    migrateLegacyTheme(migrateLegacyScores(defaultPlayerName))
+  );
+  const [editingProfileId, setEditingProfileId] = useState(null);
+  const [wardrobeSlot, setWardrobeSlot] = useState(LOOK_SLOTS[0].id);
+  // Name typed on the game over screen, null until the field is edited. Kept in a
+  // ref, so typing does not re-render (and remount) the game view, while a
+  // remount for any other reason still shows what was typed
+  const playerNameRef = useRef(null);
+  const activeProfile = getActiveProfile(profileStore);
+  const highScore = getBestScore(activeProfile, gameMode);
+  // Read by the simulation tick, which is not re-created on every render
+  const highScoreRef = useRef(highScore);
+  highScoreRef.current = highScore;
+  const activeProfileIdRef = useRef(null);
+  activeProfileIdRef.current = activeProfile?.id ?? null;
+
+  const updateProfiles = useCallback((store) => {
+    setProfileStore(saveProfiles(store));
+  }, []);
+
+  const [seed, setSeed] = useState(generateSeed);
+  const seedInputRef = useRef(null);
+
+  // Game data is translated by id; Russian falls back to the names in the data modules
+  const modeText = (modeId, field) => t(`data.modes.${modeId}.${field}`, { fallback: getMode(modeId)[field] });
+  const curveLabel = (curveId) => t(`data.curves.${curveId}.label`, { fallback: DIFFICULTY_CURVES[curveId]?.label });
+  const effectName = (effectId) => t(`data.effects.${effectId}`, { fallback: EFFECTS[effectId].name });
+  const achievementText = (achievement, field) =>
+    t(`data.achievements.${achievement.id}.${field}`, { fallback: achievement[field] });
+  const lookItemName = (slotId, item) => t(`data.looks.${slotId}.${item.id}`, { fallback: item.name });
+  const keyHint = (action) => formatKeys(settings.keys[action], t);
+  const systemReducedMotion = useReducedMotion();
+  const reducedMotion = settings.reducedMotion === 'system'
+    ? Boolean(systemReducedMotion)
+    : settings.reducedMotion === 'on';
+  // Read by the render loops, which are not re-created on every render
+  const drawOptionsRef = useRef(null);
+  drawOptionsRef.current = { look: resolveLook(getWardrobe(activeProfile).equipped), reducedMotion };
+  const fpsRef = useRef(null);
+  const fpsCounterRef = useRef({ frames: 0, since: 0 });
+
+  const updateSettings = useCallback((patch) => {
+    setSettings(storage.update('settings', current => ({ ...current, ...patch })));
+  }, []);
+
+  // `live` skips the React update so a slider being dragged is not re-mounted
+  const updateAudioSettings = useCallback((patch, { live = false } = {}) => {
+    const next = storage.update('settings', current => ({
+      ...current,
+      audio: { ...current.audio, ...patch }
+    }));
+    audio.setVolumes(next.audio);
+    if (!live) setSettings(next);
+  }, []);
+
+  // Replay state
+  const [replays, setReplays] = useState(getReplays);
+  const [lastReplay, setLastReplay] = useState(null);
+  const [activeReplay, setActiveReplay] = useState(null);
+  const [replayPaused, setReplayPaused] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const [replayScore, setReplayScore] = useState(0);
+  const [replayFinished, setReplayFinished] = useState(false);
+  const [replayReturnView, setReplayReturnView] = useState('menu');
+  const recordingRef = useRef(null);
+  // The last finished run in the history, handed to whoever claims it
+  const lastRunRef = useRef(null);
+  const achievementsRef = useRef(null);
+  const [achievementToasts, setAchievementToasts] = useState([]);
+  // Local versus: the lobby, then a split-screen match or hot-seat turns
+  const [versus, setVersus] = useState({ phase: 'lobby' });
+  const [versusScores, setVersusScores] = useState([]);
+  const versusRef = useRef(null);
+  const versusInputRef = useRef(createInputBuffer());
+  const versusCanvasRef = useRef(null);
+  const replayGameRef = useRef(null);
+  const replayPausedRef = useRef(false);
+  const replayCanvasRef = useRef(null);
+  const replayProgressRef = useRef(null);
+
+  // Game engine instance driven by the animation loop
+  const gameRef = useRef(createRun(dimensions, seed, gameMode, settings.difficulty));
+  const inputBufferRef = useRef(createInputBuffer());
+  const ghostRef = useRef(null);
+  const [ghostReplay, setGhostReplay] = useState(null);
+
+  // Toast for a freshly unlocked achievement; it removes itself after a while
+  const showAchievement = useCallback((achievement) => {
+    const key = `${achievement.id}-${Date.now()}`;
+    setAchievementToasts(toasts => [...toasts, { key, achievement }]);
+    audio.play('achievement');
+    setTimeout(() => {
+      setAchievementToasts(toasts => toasts.filter(toast => toast.key !== key));
+    }, ACHIEVEMENT_TOAST_MS);
+  }, []);
 
-  // Game refs for animation loop
-  const birdRef = useRef({ y: dimensions.height / 2, velocity: 0, rotation: 0 });
-  const pipesRef = useRef([]);
-  const frameCountRef = useRef(0);
-  const scoreRef = useRef(0);
+  // Fresh engine for a new run, with the personal best on this course as a ghost
+  // The daily course ignores the screen size and difficulty preset, so it is
+  // the same for everyone; the assist is never offered on it
+  const prepareGame = useCallback((nextSeed, mode = gameMode, { daily = dailyRun, demo = demoRun } = {}) => {
+    // Counters of an abandoned run still count
+    achievementsRef.current?.save();
+    achievementsRef.current = null;
+    playerNameRef.current = null;
+    const preset = daily ? null : settings.difficulty;
+    gameRef.current = createRun(daily ? DAILY_DIMENSIONS : dimensions, nextSeed, mode, preset);
+    const pilot = demo ? 'demo' : settings.assist && !daily ? 'assist' : null;
+    autopilotRef.current = pilot && { kind: pilot, bot: pilot === 'demo' ? createBot() : createAssist() };
+    setAutopilot(pilot);
+    inputBufferRef.current.clear();
+    pausedRef.current = false;
+    setCountdown(null);
+
+    const { timeLimit } = gameRef.current.config;
+    setTimeLeft(timeLimit ? Math.ceil(timeLimit / TICKS_PER_SECOND) : null);
+    setRunCoins(0);
+    setActiveEffects([]);
+
+    const ghost = findGhostReplay(replays, gameRef.current.config, mode, preset);
+    ghostRef.current = ghost ? createReplayGame(ghost) : null;
+    setGhostReplay(ghost);
+  }, [dimensions, replays, gameMode, dailyRun, demoRun, settings.difficulty, settings.assist]);
 
   // Update dimensions on resize
   useEffect(() => {
     const handleResize = () => {
-      const newDims = getGameDimensions();
-      setDimensions(newDims);
-      birdRef.current.y = newDims.height / 2;
+      setDimensions(getGameDimensions());
     };
 
     window.addEventListener('resize', handleResize);
@@ -96,273 +485,629 @@ function App() {
 
     ctx.imageSmoothingEnabled = false;
 
-    // Reset bird position when dimensions change
+    // Rebuild the engine for the new size before the run starts
     if (gameState === 'ready') {
-      birdRef.current.y = dimensions.height / 2;
+      prepareGame(seed);
+    }
+  }, [dimensions, gameState, seed, prepareGame]);
+
+  // Simulation tick - advances the engine and mirrors its events into React state
+  const updateGame = useCallback(() => {
+    if (pausedRef.current) return;
+    const game = gameRef.current;
+    const frame = game.getState().frame;
+    // The demo bot starts its own run and ignores the player; the assist only
+    // adds flaps once the player has started
+    const pilot = autopilotRef.current;
+    const playerJump = inputBufferRef.current.consume('jump');
+    let jump = playerJump;
+    if (pilot?.kind === 'demo') {
+      jump = game.getState().status === 'ready' || pilot.bot.decide(game.getState(), game.config);
+    } else if (pilot && game.getState().status === 'playing') {
+      jump = playerJump || pilot.bot.decide(game.getState(), game.config);
     }
-  }, [dimensions, gameState]);
+    const { events } = game.step({ jump });
 
-  // Game loop
-  const gameLoop = useCallback(() => {
+    // The ghost starts with the player and freezes when the player dies
+    if (ghostRef.current && game.getState().status === 'playing') {
+      ghostRef.current.step();
+    }
+
+    // Whole seconds left in a timed mode; React skips the render when unchanged
+    const { timeLimit } = game.config;
+    if (timeLimit) {
+      setTimeLeft(Math.max(Math.ceil((timeLimit - game.getState().frame) / TICKS_PER_SECOND), 0));
+    }
+
+    const achievementContext = {
+      state: game.getState(),
+      night: isNightTime(drawOptionsRef.current.look.background, game.getState().frame)
+    };
+
+    events.forEach(event => {
+      achievementsRef.current?.handle(event, achievementContext);
+
+      if (event.type === 'start') {
+        recordingRef.current = createReplay(game.config, game.mode);
+        // Milestones would be free in unranked modes, so they are not tracked there
+        achievementsRef.current = RANKED_MODES.includes(game.mode) && !pilot
+          ? createAchievementTracker(activeProfileIdRef.current, { onUnlock: showAchievement })
+          : null;
+        // Taken when the attempt starts, so quitting halfway does not give it back
+        if (dailyRunRef.current) spendAttempt(activeProfileIdRef.current, dailyRunRef.current);
+        setGameState('playing');
+      } else if (event.type === 'flap') {
+        recordJump(recordingRef.current, frame);
+        audio.play('flap');
+      } else if (event.type === 'score') {
+        setScore(event.score);
+        audio.play('score');
+      } else if (event.type === 'stage') {
+        setStage({ index: event.stage, name: event.name });
+      } else if (event.type === 'pickup') {
+        setRunCoins(game.getState().coins);
+        audio.play('pickup');
+      } else if (event.type === 'shieldBroken') {
+        audio.play('shield');
+      } else if (event.type === 'collision') {
+        audio.play('hit');
+      } else if (event.type === 'effectStart' && EFFECTS[event.effect].name) {
+        setActiveEffects(effects =>
+          effects.includes(event.effect) ? effects : [...effects, event.effect]
+        );
+      } else if (event.type === 'effectEnd') {
+        setActiveEffects(effects => effects.filter(effect => effect !== event.effect));
+      } else if (event.type === 'gameover' && pilot) {
+        lastRunRef.current = null;
+        setGameState('gameover');
+      } else if (event.type === 'gameover') {
+        if (event.score > highScoreRef.current && !dailyRunRef.current) audio.play('record');
+        const replay = finishReplay(recordingRef.current, {
+          score: event.score,
+          cause: event.cause,
+          frame: game.getState().frame
+        });
+        setReplays(saveReplay(replay));
+        setLastReplay(replay);
+        // Recorded straight away, so leaving the game over screen loses nothing
+        const finished = game.getState();
+        lastRunRef.current = recordRun({
+          playerId: activeProfileIdRef.current,
+          mode: game.mode,
+          difficulty: getRunPreset(game.config, game.mode),
+          seed: game.config.seed,
+          score: event.score,
+          coins: finished.coins,
+          flaps: replay.inputs.length,
+          ticks: finished.frame,
+          cause: event.cause,
+          replayId: replay.id
+        });
+        if (dailyRunRef.current) {
+          recordDailyScore(activeProfileIdRef.current, dailyRunRef.current, event.score);
+        }
+        achievementsRef.current?.save();
+        achievementsRef.current = null;
+        setGameState('gameover');
+      }
+    });
+  }, [showAchievement]);
+
+  // Render frame - draws the engine state interpolated between ticks
+  const renderGame = useCallback((alpha) => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
+    const game = gameRef.current;
 
-    // Clear canvas with sky gradient
-    const gradient = ctx.createLinearGradient(0, 0, 0, dimensions.height);
-    gradient.addColorStop(0, '#60A5FA');
-    gradient.addColorStop(1, '#93C5FD');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, dimensions.width, dimensions.height);
-
-    // Draw clouds
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.beginPath();
-    ctx.arc(80 + (frameCountRef.current * 0.5) % (dimensions.width + 100) - 50, 80, 25, 0, Math.PI * 2);
-    ctx.arc(110 + (frameCountRef.current * 0.5) % (dimensions.width + 100) - 50, 70, 30, 0, Math.PI * 2);
-    ctx.arc(140 + (frameCountRef.current * 0.5) % (dimensions.width + 100) - 50, 80, 25, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.beginPath();
-    ctx.arc(250 + (frameCountRef.current * 0.3) % (dimensions.width + 100) - 50, 120, 20, 0, Math.PI * 2);
-    ctx.arc(275 + (frameCountRef.current * 0.3) % (dimensions.width + 100) - 50, 110, 25, 0, Math.PI * 2);
-    ctx.arc(300 + (frameCountRef.current * 0.3) % (dimensions.width + 100) - 50, 120, 20, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Update bird physics
-    if (gameState === 'playing') {
-      birdRef.current.velocity += GRAVITY;
-      birdRef.current.y += birdRef.current.velocity;
-      birdRef.current.rotation = Math.min(Math.max(birdRef.current.velocity * 3, -30), 90);
-
-      // Generate pipes
-      frameCountRef.current++;
-      if (frameCountRef.current % 100 === 0) {
-        const minHeight = 50;
-        const maxHeight = dimensions.height - PIPE_GAP - minHeight - 100;
-        const topHeight = Math.floor(Math.random() * (maxHeight - minHeight) + minHeight);
-        pipesRef.current.push({
-          x: dimensions.width,
-          topHeight,
-          passed: false
-        });
+    // The canvas element may have been remounted since the last frame
+    if (canvas.width !== game.config.width || canvas.height !== game.config.height) {
+      canvas.width = game.config.width;
+      canvas.height = game.config.height;
+    }
+
+    // Frozen on the last tick while paused
+    const frameAlpha = pausedRef.current ? 1 : alpha;
+    const state = interpolateState(game.getPreviousState(), game.getState(), frameAlpha);
+    const ghostGame = ghostRef.current;
+    const ghostAlpha = game.getState().status === 'playing' ? frameAlpha : 1;
+    const ghost = ghostGame
+      ? interpolateState(ghostGame.getPreviousState(), ghostGame.getState(), ghostAlpha)
+      : null;
+    drawScene(ctx, state, game.config, { ghost, ...drawOptionsRef.current });
+
+    // Frames drawn per second, written straight into the HUD counter
+    const counter = fpsCounterRef.current;
+    const now = performance.now();
+    counter.frames += 1;
+    if (now - counter.since >= FPS_SAMPLE_MS) {
+      if (fpsRef.current && counter.since > 0) {
+        fpsRef.current.textContent = Math.round((counter.frames * 1000) / (now - counter.since));
       }
+      counter.frames = 0;
+      counter.since = now;
+    }
 
-      // Update pipes
-      pipesRef.current = pipesRef.current.filter(pipe => {
-        pipe.x -= PIPE_SPEED;
+    // Time left on each power-up, drawn straight into the HUD bars
+    const { effects } = game.getState();
+    Object.entries(effectBarRefs.current).forEach(([effect, bar]) => {
+      if (!bar) return;
+      const { duration } = EFFECTS[effect];
+      const left = Number.isFinite(duration) ? (effects[effect] ?? 0) / duration : 1;
+      bar.style.width = `${left * 100}%`;
+    });
+  }, []);
 
-        // Check score
-        if (!pipe.passed && pipe.x + PIPE_WIDTH < 100) {
-          pipe.passed = true;
-          scoreRef.current++;
-          setScore(scoreRef.current);
-        }
+  // Pause - only a run in progress can be paused; a resume countdown is cancelled
+  const pauseGame = useCallback(() => {
+    if (gameRef.current.getState().status !== 'playing') return;
+    pausedRef.current = true;
+    inputBufferRef.current.clear();
+    setCountdown(null);
+    setGameState('paused');
+  }, []);
 
-        return pipe.x > -PIPE_WIDTH;
-      });
+  // Resume after a 3-2-1 countdown so the player can get ready
+  const resumeGame = useCallback(() => {
+    if (!pausedRef.current) return;
+    setCountdown(RESUME_COUNTDOWN);
+  }, []);
 
-      // Check collisions
-      const birdRect = {
-        left: 100 - BIRD_SIZE/2 + 4,
-        right: 100 + BIRD_SIZE/2 - 4,
-        top: birdRef.current.y - BIRD_SIZE/2 + 4,
-        bottom: birdRef.current.y + BIRD_SIZE/2 - 4
-      };
+  useEffect(() => {
+    if (countdown === null) return;
+
+    const timer = setTimeout(() => {
+      if (countdown > 1) {
+        setCountdown(countdown - 1);
+      } else {
+        pausedRef.current = false;
+        setCountdown(null);
+        setGameState('playing');
+      }
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [countdown]);
 
-      // Ground collision
-      if (birdRef.current.y + BIRD_SIZE/2 >= dimensions.height - 20) {
-        setGameState('gameover');
+  // Run the fixed-timestep loop while the game view is open
+  useEffect(() => {
+    if (currentView !== 'game') return;
+
+    const loop = createFixedStepLoop({ update: updateGame, render: renderGame });
+    // Leaving the tab or window pauses the run instead of freezing it mid-flight
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        pauseGame();
+      } else {
+        loop.resync();
       }
+    };
+
+    loop.start();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', pauseGame);
+    return () => {
+      loop.stop();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', pauseGame);
+    };
+  }, [currentView, updateGame, renderGame, pauseGame]);
 
-      // Pipe collision
-      pipesRef.current.forEach(pipe => {
-        const topPipe = {
-          left: pipe.x,
-          right: pipe.x + PIPE_WIDTH,
-          top: 0,
-          bottom: pipe.topHeight
-        };
-        const bottomPipe = {
-          left: pipe.x,
-          right: pipe.x + PIPE_WIDTH,
-          top: pipe.topHeight + PIPE_GAP,
-          bottom: dimensions.height
-        };
-
-        if (birdRect.left < topPipe.right && birdRect.right > topPipe.left &&
-            birdRect.top < topPipe.bottom && birdRect.bottom > topPipe.top) {
-          setGameState('gameover');
+  // Replay playback - re-simulates the recorded run at the chosen speed
+  useEffect(() => {
+    if (currentView !== 'replay') return;
+
+    const loop = createFixedStepLoop({
+      tickMs: TICK_MS / replaySpeed,
+      update: () => {
+        const replayGame = replayGameRef.current;
+        if (!replayGame || replayPausedRef.current) return;
+
+        const wasFinished = replayGame.isFinished();
+        const { events } = replayGame.step();
+        events.forEach(event => {
+          if (event.type === 'score') setReplayScore(event.score);
+        });
+        if (!wasFinished && replayGame.isFinished()) {
+          setReplayFinished(true);
         }
-        if (birdRect.left < bottomPipe.right && birdRect.right > bottomPipe.left &&
-            birdRect.top < bottomPipe.bottom && birdRect.bottom > bottomPipe.top) {
-          setGameState('gameover');
+      },
+      render: (alpha) => {
+        const canvas = replayCanvasRef.current;
+        const replayGame = replayGameRef.current;
+        if (!canvas || !replayGame) return;
+        const ctx = canvas.getContext('2d');
+        const { config } = replayGame;
+
+        if (canvas.width !== config.width || canvas.height !== config.height) {
+          canvas.width = config.width;
+          canvas.height = config.height;
         }
-      });
-    }
 
-    // Draw pipes
-    pipesRef.current.forEach(pipe => {
-      // Top pipe
-      const pipeGradient = ctx.createLinearGradient(pipe.x, 0, pipe.x + PIPE_WIDTH, 0);
-      pipeGradient.addColorStop(0, '#22C55E');
-      pipeGradient.addColorStop(0.5, '#4ADE80');
-      pipeGradient.addColorStop(1, '#16A34A');
+        const state = interpolateState(
+          replayGame.getPreviousState(),
+          replayGame.getState(),
+          replayPausedRef.current ? 1 : alpha
+        );
+        drawScene(ctx, state, config, drawOptionsRef.current);
+
+        if (replayProgressRef.current) {
+          replayProgressRef.current.style.width = `${replayGame.getProgress() * 100}%`;
+        }
+      }
+    });
 
-      ctx.fillStyle = pipeGradient;
-      ctx.fillRect(pipe.x, 0, PIPE_WIDTH, pipe.topHeight);
+    loop.start();
+    return () => loop.stop();
+  }, [currentView, replaySpeed]);
+
+  // Open a recorded run in the replay view
+  const openReplay = useCallback((replay) => {
+    replayGameRef.current = createReplayGame(replay);
+    replayPausedRef.current = false;
+    setActiveReplay(replay);
+    setReplayPaused(false);
+    setReplayScore(0);
+    setReplayFinished(false);
+    setReplayReturnView(currentView);
+    setCurrentView('replay');
+  }, [currentView]);
+
+  const restartReplay = useCallback(() => {
+    if (!activeReplay) return;
+    replayGameRef.current = createReplayGame(activeReplay);
+    replayPausedRef.current = false;
+    setReplayPaused(false);
+    setReplayScore(0);
+    setReplayFinished(false);
+  }, [activeReplay]);
+
+  const toggleReplayPause = useCallback(() => {
+    replayPausedRef.current = !replayPausedRef.current;
+    setReplayPaused(replayPausedRef.current);
+  }, []);
 
-      // Pipe cap
-      ctx.fillStyle = '#15803D';
-      ctx.fillRect(pipe.x - 5, pipe.topHeight - 30, PIPE_WIDTH + 10, 30);
+  const closeReplay = useCallback(() => {
+    replayGameRef.current = null;
+    setActiveReplay(null);
+    setCurrentView(replayReturnView);
+  }, [replayReturnView]);
+
+  // Sets up a match on the seed, or the given turn of a hot-seat match
+  const prepareVersus = useCallback((format, seed, turn = 0, results = []) => {
+    const config = getVersusConfig(dimensions, seed);
+    versusRef.current = format === 'split'
+      ? createVersusMatch(config)
+      : createVersusTurn(config, turn, results[turn - 1]?.replay);
+    versusInputRef.current.clear();
+    setVersusScores(VERSUS_PLAYERS.map(() => 0));
+    setVersus({ phase: 'ready', format, seed, turn, results });
+  }, [dimensions]);
+
+  const leaveVersus = useCallback(() => {
+    versusRef.current = null;
+    setVersus({ phase: 'lobby' });
+    setCurrentView('menu');
+  }, []);
 
-      // Bottom pipe
-      ctx.fillStyle = pipeGradient;
-      ctx.fillRect(pipe.x, pipe.topHeight + PIPE_GAP, PIPE_WIDTH, dimensions.height - pipe.topHeight - PIPE_GAP);
+  const pressVersus = useCallback((player) => {
+    audio.unlock();
+    versusInputRef.current.press(`player${player}`);
+  }, []);
 
-      // Pipe cap bottom
-      ctx.fillStyle = '#15803D';
-      ctx.fillRect(pipe.x - 5, pipe.topHeight + PIPE_GAP, PIPE_WIDTH + 10, 30);
+  // Versus tick - steps every bird and moves on once the last one has crashed
+  const updateVersus = useCallback(() => {
+    const run = versusRef.current;
+    if (!run || run.isFinished()) return;
+    const jumps = VERSUS_PLAYERS.map((_, player) => versusInputRef.current.consume(`player${player}`));
+    const { events } = run.step(jumps);
+
+    events.forEach(event => {
+      if (event.type === 'start') {
+        setVersus(current => ({ ...current, phase: 'playing' }));
+      } else if (event.type === 'flap') {
+        audio.play('flap');
+      } else if (event.type === 'score') {
+        setVersusScores(scores => scores.map((score, player) => (player === event.player ? event.score : score)));
+        audio.play('score');
+      } else if (event.type === 'collision') {
+        audio.play('hit');
+      }
     });
 
-    // Draw ground
-    const groundGradient = ctx.createLinearGradient(0, dimensions.height - 20, 0, dimensions.height);
-    groundGradient.addColorStop(0, '#D97706');
-    groundGradient.addColorStop(1, '#92400E');
-    ctx.fillStyle = groundGradient;
-    ctx.fillRect(0, dimensions.height - 20, dimensions.width, 20);
-
-    // Ground pattern
-    ctx.fillStyle = '#B45309';
-    for (let i = 0; i < dimensions.width; i += 40) {
-      ctx.fillRect(i - (frameCountRef.current * PIPE_SPEED) % 40, dimensions.height - 20, 5, 20);
+    if (run.isFinished()) {
+      setVersus(current => {
+        const results = current.format === 'split'
+          ? run.getResults()
+          : [...current.results, { ...run.getResults()[0], replay: run.getReplay() }];
+        const phase = results.length < VERSUS_PLAYERS.length ? 'turnOver' : 'results';
+        return { ...current, results, phase };
+      });
     }
+  }, []);
+
+  // Versus frame - the scenery of the bird furthest ahead, with every bird
+  // still flying (all of them once the match is over)
+  const renderVersus = useCallback((alpha) => {
+    const canvas = versusCanvasRef.current;
+    const run = versusRef.current;
+    if (!canvas || !run) return;
+    const ctx = canvas.getContext('2d');
+    const lead = run.getLead();
 
-    // Draw bird
-    ctx.save();
-    ctx.translate(100, birdRef.current.y);
-    ctx.rotate((birdRef.current.rotation * Math.PI) / 180);
-
-    // Bird body
-    const birdGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, BIRD_SIZE/2);
-    birdGradient.addColorStop(0, '#FCD34D');
-    birdGradient.addColorStop(0.7, '#F59E0B');
-    birdGradient.addColorStop(1, '#D97706');
-
-    ctx.fillStyle = birdGradient;
-    ctx.beginPath();
-    ctx.arc(0, 0, BIRD_SIZE/2, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Bird outline
-    ctx.strokeStyle = '#92400E';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-
-    // Eye
-    ctx.fillStyle = 'white';
-    ctx.beginPath();
-    ctx.arc(8, -6, 8, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.fillStyle = 'black';
-    ctx.beginPath();
-    ctx.arc(10, -6, 4, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Beak
-    ctx.fillStyle = '#EF4444';
-    ctx.beginPath();
-    ctx.moveTo(12, 2);
-    ctx.lineTo(28, 8);
-    ctx.lineTo(12, 14);
-    ctx.closePath();
-    ctx.fill();
-
-    // Wing
-    const wingOffset = gameState === 'playing' && frameCountRef.current % 10 < 5 ? -5 : 0;
-    ctx.fillStyle = '#FDE68A';
-    ctx.beginPath();
-    ctx.ellipse(-8 + wingOffset, 8, 10, 6, 0, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#92400E';
-    ctx.lineWidth = 1;
-    ctx.stroke();
-
-    ctx.restore();
-
-    // Continue loop
-    if (gameState !== 'gameover') {
-      animationRef.current = requestAnimationFrame(gameLoop);
+    if (canvas.width !== lead.config.width || canvas.height !== lead.config.height) {
+      canvas.width = lead.config.width;
+      canvas.height = lead.config.height;
     }
-  }, [gameState, dimensions]);
 
-  // Start game loop
+    const finished = run.isFinished();
+    const interpolate = (game) => interpolateState(
+      game.getPreviousState(),
+      game.getState(),
+      lead.getState().status === 'playing' ? alpha : 1
+    );
+    const birds = run.birds
+      .filter(({ game }) => finished || game.getState().status !== 'gameover')
+      .map(({ game, player }) => ({ state: interpolate(game), skin: BIRD_SKINS[VERSUS_PLAYERS[player].skin] }));
+    drawScene(ctx, interpolate(lead), lead.config, {
+      ...drawOptionsRef.current,
+      ghost: run.ghost && interpolate(run.ghost),
+      birds
+    });
+  }, []);
+
   useEffect(() => {
-    if (currentView === 'game') {
-      animationRef.current = requestAnimationFrame(gameLoop);
-    }
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
+    if (currentView !== 'versus') return;
+
+    const loop = createFixedStepLoop({ update: updateVersus, render: renderVersus });
+    loop.start();
+    return () => loop.stop();
+  }, [currentView, updateVersus, renderVersus]);
+
+  // Each player's own key; the bound back key still leaves (see the action handler)
+  useEffect(() => {
+    if (currentView !== 'versus') return;
+
+    const handleKeyDown = (event) => {
+      const player = findVersusPlayer(event.code);
+      if (player === -1 || event.repeat || event.target instanceof HTMLInputElement) return;
+      event.preventDefault();
+      pressVersus(player);
     };
-  }, [currentView, gameLoop]);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [currentView, pressVersus]);
 
-  // Jump function
+  // Jump - buffered, so a press just before the run resumes is applied on its first tick
   const jump = useCallback(() => {
-    if (gameState === 'ready') {
-      setGameState('playing');
-      birdRef.current.velocity = JUMP_STRENGTH;
-    } else if (gameState === 'playing') {
-      birdRef.current.velocity = JUMP_STRENGTH;
-    }
+    if (gameState === 'gameover') return;
+    // Browsers only allow audio to start from a user gesture; the first jump is one
+    audio.unlock();
+    inputBufferRef.current.press('jump');
   }, [gameState]);
 
-  // Keyboard controls for desktop
+  // Music plays while a run is ready or in progress
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (currentView !== 'game') return;
-
-      if (e.code === 'Space' || e.code === 'ArrowUp' || e.key === ' ') {
-        e.preventDefault();
-        if (gameState === 'gameover') {
-          resetGame();
-        } else {
-          jump();
-        }
+    if (currentView === 'game' && (gameState === 'ready' || gameState === 'playing')) {
+      audio.startMusic();
+    } else {
+      audio.stopMusic();
+    }
+  }, [currentView, gameState]);
+
+  // Keyboard, gamepad and pointer input; the manager lives as long as the app
+  // and always calls the handlers from the latest render
+  const inputRef = useRef(null);
+  const actionHandlerRef = useRef(null);
+  const captureHandlerRef = useRef(null);
+
+  useEffect(() => {
+    const input = createInputManager({
+      onAction: (action, details) => actionHandlerRef.current(action, details),
+      onCapture: (captured) => captureHandlerRef.current(captured),
+      onGamepadsChange: setGamepads
+    });
+    inputRef.current = input;
+    input.start();
+    return () => input.stop();
+  }, []);
+
+  useEffect(() => {
+    inputRef.current.setBindings({ keys: settings.keys, gamepad: settings.gamepad });
+  }, [settings.keys, settings.gamepad]);
+
+  // The settings view waits for the next key or button to bind
+  useEffect(() => {
+    inputRef.current.capture(rebinding ? INPUT_DEVICES.find(device => device.id === rebinding.device).source : null);
+  }, [rebinding]);
+
+  captureHandlerRef.current = ({ value }) => {
+    if (!rebinding) return;
+    updateSettings({ [rebinding.device]: bindInput(settings[rebinding.device], rebinding.action, value) });
+    setRebinding(null);
+  };
+
+  actionHandlerRef.current = (action, { event }) => {
+    if (currentView === 'versus') {
+      if (action === 'back') leaveVersus();
+      return;
+    }
+
+    if (currentView === 'replay') {
+      if (action === 'jump' || action === 'pause') {
+        event?.preventDefault();
+        toggleReplayPause();
       }
+      if (action === 'back') {
+        closeReplay();
+      }
+      return;
+    }
 
-      if (e.code === 'Escape' && currentView === 'game') {
-        setCurrentView('menu');
-        setGameState('ready');
-        setScore(0);
+    if (currentView !== 'game') return;
+
+    if (action === 'jump') {
+      event?.preventDefault();
+      if (gameState === 'gameover') {
+        resetGame();
+      } else {
+        jump();
       }
-    };
+    }
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [currentView, gameState, jump]);
+    // Back pauses a run in progress and leaves otherwise
+    if (action === 'pause' || action === 'back') {
+      if (gameState === 'playing') {
+        pauseGame();
+      } else if (gameState === 'paused') {
+        resumeGame();
+      } else if (action === 'back') {
+        exitToMenu();
+      }
+    }
+  };
 
-  // Reset game
-  const resetGame = useCallback(() => {
+  // Credits a finished run to the player: coins, best score and the leaderboard.
+  // Runs on every way out of the game over screen, so a result is never lost
+  const commitRun = useCallback(() => {
+    if (gameState !== 'gameover' || autopilotRef.current || (score === 0 && runCoins === 0)) return;
+
+    // A name typed on the game over screen picks (or creates) the profile
+    const typedName = playerNameRef.current?.trim();
+    let store = typedName || !activeProfile
+      ? selectProfileByName(profileStore, typedName, defaultPlayerName)
+      : profileStore;
+    const player = getActiveProfile(store);
+    store = addProfileCoins(store, player.id, runCoins);
     if (score > 0) {
-      const newLeaderboard = saveScore(score);
-      setLeaderboard(newLeaderboard);
+      // A daily result only counts on the day's own board, not as a personal best
+      if (dailyRun) {
+        pruneDailyBoards(dailyRun);
+      } else {
+        store = recordProfileScore(store, player.id, score, gameMode);
+      }
+      const preset = dailyRun ? null : getRunPreset(gameRef.current.config, gameMode);
+      setLeaderboard(saveScore(score, lastReplay?.id, player, scoreBoard, preset));
+    }
+    updateProfiles(store);
+    if (lastRunRef.current && lastRunRef.current.playerId !== player.id) {
+      assignRun(lastRunRef.current.id, player.id);
     }
-    birdRef.current = { y: dimensions.height / 2, velocity: 0, rotation: 0 };
-    pipesRef.current = [];
-    frameCountRef.current = 0;
-    scoreRef.current = 0;
+  }, [gameState, score, runCoins, lastReplay, profileStore, activeProfile, defaultPlayerName, updateProfiles, gameMode, dailyRun, scoreBoard]);
+
+  // Reset game - a fresh random course unless a seed is given. The daily
+  // challenge replays its own course, or goes back to its screen once the
+  // attempts are used up.
+  const resetGame = useCallback((nextSeed = generateSeed()) => {
+    commitRun();
+    setLastReplay(null);
     setScore(0);
+    setStage(null);
+    setGameState('ready');
+    if (dailyRun) {
+      // No game is built that could not be started
+      if (getAttemptsLeft(activeProfile?.id, dailyRun) === 0) {
+        setCurrentView('daily');
+        return;
+      }
+      nextSeed = getDailySeed(dailyRun);
+    }
+    prepareGame(nextSeed);
+    setSeed(nextSeed);
+  }, [commitRun, prepareGame, dailyRun, activeProfile]);
+
+  // Start a mode on the given seed, the one typed in or a random one
+  const startGame = useCallback((mode, chosenSeed) => {
+    const nextSeed = chosenSeed ?? parseSeed(seedInputRef.current?.value) ?? generateSeed();
+    prepareGame(nextSeed, mode, { daily: null, demo: false });
+    setDailyRun(null);
+    setDemoRun(false);
+    setGameMode(mode);
+    setSeed(nextSeed);
+    setCurrentView('game');
+  }, [prepareGame]);
+
+  // Today's challenge; the day is fixed when it starts, so a run past midnight
+  // still counts for the day it began on
+  const startDaily = useCallback(() => {
+    const dayKey = getDailyKey();
+    const nextSeed = getDailySeed(dayKey);
+    prepareGame(nextSeed, DAILY_MODE, { daily: dayKey, demo: false });
+    setDailyRun(dayKey);
+    setDemoRun(false);
+    setGameMode(DAILY_MODE);
+    setSeed(nextSeed);
+    setCurrentView('game');
+  }, [prepareGame]);
+
+  // The autopilot flies a classic run on a random course
+  const startDemo = useCallback(() => {
+    const nextSeed = generateSeed();
+    prepareGame(nextSeed, DEFAULT_MODE, { daily: null, demo: true });
+    setDailyRun(null);
+    setDemoRun(true);
+    setGameMode(DEFAULT_MODE);
+    setSeed(nextSeed);
+    setCurrentView('game');
+  }, [prepareGame]);
+
+  // Throw the current run away without recording it, back to the start of the course
+  const abandonRun = useCallback(() => {
+    prepareGame(seed);
+    setLastReplay(null);
     setGameState('ready');
-  }, [score, dimensions]);
+    setScore(0);
+    setStage(null);
+  }, [seed, prepareGame]);
 
-  // Load leaderboard on mount
+  const exitToMenu = useCallback(() => {
+    commitRun();
+    setCurrentView(dailyRun ? 'daily' : 'menu');
+    abandonRun();
+  }, [commitRun, abandonRun, dailyRun]);
+
+  // Load leaderboard on mount, and again once an async storage backend has loaded
   useEffect(() => {
     setLeaderboard(getLeaderboard());
+    storage.ready.then(() => {
+      setProfileStore(migrateLegacyTheme(migrateLegacyScores(defaultPlayerName)));
+      setLeaderboard(getLeaderboard());
+      setReplays(getReplays());
+      setRuns(getRuns());
+      setSettings(getSettings());
+    });
   }, []);
 
+  // Apply the saved volumes
+  useEffect(() => {
+    audio.setVolumes(settings.audio);
+  }, [settings.audio]);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.locale;
+  }, [i18n.locale]);
+
+  // A key capture is dropped when the settings view is left
+  useEffect(() => {
+    if (currentView !== 'settings') setRebinding(null);
+  }, [currentView]);
+
+  // Personal best that can be raced at the current screen size
+  const bestGhostReplay = replays.best.find(replay =>
+    isRaceable(replay, dimensions.width, dimensions.height, settings.difficulty)
+  );
+
+  // Attempts the daily challenge has left, null outside of it
+  const dailyAttemptsLeft = dailyRun ? getAttemptsLeft(activeProfile?.id, dailyRun) : null;
+
+  // Difficulty stage shown in the HUD; the first stage until the engine reports one
+  const difficultyCurve = getModeConfig(gameMode, { preset: dailyRun ? null : settings.difficulty }).difficulty;
+  const currentStage = difficultyCurve
+    ? stage ?? { index: 0, name: difficultyCurve.stages[0].name }
+    : null;
+  const stageName = currentStage && t(`data.curves.${difficultyCurve.id}.stages.${currentStage.index}`, {
+    fallback: currentStage.name
+  });
+
   // Menu View
   const MenuView = () => (
     <motion.div
@@ -423,7 +1168,7 @@ function App() {
         transition={{ delay: 0.3 }}
         className="text-xl md:text-2xl text-white font-bold mb-10 drop-shadow-md"
       >
-        Яркая мультяшная аркада 🎮
+        {t('menu.subtitle')}
       </motion.p>
 
       {/* Menu Buttons */}
@@ -434,20 +1179,67 @@ function App() {
         className="flex flex-col gap-4 w-full max-w-sm md:max-w-md"
       >
         <button
-          onClick={() => setCurrentView('game')}
+          onClick={() => setCurrentView('modes')}
           className="group relative bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white px-8 py-4 md:py-5 rounded-2xl font-black text-xl md:text-2xl shadow-xl shadow-green-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-3 overflow-hidden"
         >
           <span className="absolute inset-0 bg-white/20 translate-x-[-100%] group-hover:translate-x-[100%] transition-transform duration-500" />
           <SafeIcon name="play" size={28} />
-          ИГРАТЬ
+          {t('menu.play')}
+        </button>
+
+        {bestGhostReplay && (
+          <button
+            onClick={() => startGame(getReplayMode(bestGhostReplay), bestGhostReplay.seed)}
+            className="bg-gradient-to-r from-slate-500 to-slate-700 hover:from-slate-400 hover:to-slate-600 text-white px-8 py-3 md:py-4 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-slate-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-3"
+          >
+            <SafeIcon name="ghost" size={24} />
+            {t('menu.ghostRace', { score: bestGhostReplay.score })}
+          </button>
+        )}
+
+        <button
+          onClick={openDaily}
+          className="bg-gradient-to-r from-fuchsia-500 to-pink-600 hover:from-fuchsia-400 hover:to-pink-500 text-white px-8 py-3 md:py-4 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-fuchsia-500/30 transition-all transform hover:scale-105 active:scale-95 flex flex-col items-center justify-center"
+        >
+          <span className="flex items-center gap-3">
+            <SafeIcon name="calendar-days" size={24} />
+            {t('menu.daily')}
+          </span>
+          <span className="text-sm font-semibold text-white/80">
+            {t('menu.dailyInfo', {
+              attempts: getAttemptsLeft(activeProfile?.id, getDailyKey()),
+              streak: getDailyStreak(activeProfile?.id).current
+            })}
+          </span>
         </button>
 
+        <div className="grid grid-cols-2 gap-4">
+          <button
+            onClick={() => {
+              setVersus({ phase: 'lobby' });
+              setCurrentView('versus');
+            }}
+            className="bg-gradient-to-r from-red-500 to-rose-600 hover:from-red-400 hover:to-rose-500 text-white px-4 py-3 md:py-4 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-red-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-2"
+          >
+            <SafeIcon name="users" size={24} />
+            {t('menu.versus')}
+          </button>
+
+          <button
+            onClick={startDemo}
+            className="bg-gradient-to-r from-indigo-500 to-blue-600 hover:from-indigo-400 hover:to-blue-500 text-white px-4 py-3 md:py-4 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-indigo-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-2"
+          >
+            <SafeIcon name="bot" size={24} />
+            {t('menu.watchAi')}
+          </button>
+        </div>
+
         <button
           onClick={() => setCurrentView('rules')}
           className="bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-400 hover:to-cyan-500 text-white px-8 py-4 md:py-5 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-blue-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-3"
         >
           <SafeIcon name="help-circle" size={24} />
-          Правила
+          {t('menu.rules')}
         </button>
 
         <button
@@ -458,7 +1250,59 @@ function App() {
           className="bg-gradient-to-r from-yellow-500 to-orange-500 hover:from-yellow-400 hover:to-orange-400 text-white px-8 py-4 md:py-5 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-yellow-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-3"
         >
           <SafeIcon name="trophy" size={24} />
-          Топ игроков
+          {t('menu.leaderboard')}
+        </button>
+
+        <div className="grid grid-cols-2 gap-4">
+          <button
+            onClick={() => {
+              setRuns(getRuns());
+              setCurrentView('stats');
+            }}
+            className="bg-gradient-to-r from-teal-500 to-cyan-600 hover:from-teal-400 hover:to-cyan-500 text-white px-4 py-4 md:py-5 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-teal-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-2"
+          >
+            <SafeIcon name="bar-chart-3" size={24} />
+            {t('menu.stats')}
+          </button>
+
+          <button
+            onClick={() => setCurrentView('achievements')}
+            className="bg-gradient-to-r from-amber-500 to-yellow-500 hover:from-amber-400 hover:to-yellow-400 text-white px-4 py-4 md:py-5 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-amber-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-2"
+          >
+            <SafeIcon name="award" size={24} />
+            {t('menu.achievements')}
+          </button>
+        </div>
+
+        <button
+          onClick={() => setCurrentView('wardrobe')}
+          className="bg-gradient-to-r from-violet-500 to-purple-600 hover:from-violet-400 hover:to-purple-500 text-white px-8 py-4 md:py-5 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-violet-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-3"
+        >
+          <SafeIcon name="shirt" size={24} />
+          {t('menu.wardrobe')}
+        </button>
+
+        <button
+          onClick={() => setCurrentView('settings')}
+          className="bg-gradient-to-r from-pink-500 to-rose-500 hover:from-pink-400 hover:to-rose-400 text-white px-8 py-4 md:py-5 rounded-2xl font-bold text-lg md:text-xl shadow-xl shadow-pink-500/30 transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-3"
+        >
+          <SafeIcon name="settings" size={24} />
+          {t('menu.settings')}
+        </button>
+
+        <button
+          onClick={() => setCurrentView('profiles')}
+          className="bg-white/90 hover:bg-white text-gray-700 px-6 py-3 rounded-2xl font-bold shadow-lg transition-all transform hover:scale-105 active:scale-95 flex items-center justify-center gap-3"
+        >
+          <SafeIcon name="user" size={20} className="text-purple-500" />
+          {activeProfile ? activeProfile.name : t('menu.choosePlayer')}
+          {activeProfile && (
+            <span className="flex items-center gap-1 text-yellow-600" title={t('menu.coins')}>
+              <SafeIcon name="coins" size={18} />
+              {formatNumber(getCoins(activeProfile))}
+            </span>
+          )}
+          <span className="text-sm text-gray-400 font-semibold">{t('menu.switchPlayer')}</span>
         </button>
       </motion.div>
 
@@ -469,7 +1313,7 @@ function App() {
         transition={{ delay: 0.6 }}
         className="mt-8 text-white/80 text-sm md:text-base font-medium hidden md:block"
       >
-        💡 Нажмите Пробел для прыжка • ESC для выхода
+        {t('menu.hint', { jump: keyHint('jump'), pause: keyHint('pause') })}
       </motion.p>
 
       {/* Decorative elements */}
@@ -495,6 +1339,76 @@ function App() {
     </motion.div>
   );
 
+  // Mode Selection View
+  const ModesView = () => (
+    <motion.div
+      initial={{ opacity: 0, x: 100 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -100 }}
+      className="min-h-screen bg-gradient-to-b from-sky-400 via-sky-300 to-green-400 p-4 md:p-8"
+    >
+      <div className="max-w-3xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <button
+            onClick={() => setCurrentView('menu')}
+            className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+          >
+            <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+          </button>
+          <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg">
+            {t('modes.title')}
+          </h1>
+          <div className="w-12" />
+        </div>
+
+        {/* Mode cards */}
+        <div className="grid md:grid-cols-2 gap-4 md:gap-6">
+          {MODE_ORDER.map((modeId, index) => {
+            const mode = GAME_MODES[modeId];
+            const style = MODE_STYLES[modeId];
+            return (
+              <motion.button
+                key={modeId}
+                initial={{ y: 20, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: index * 0.1 }}
+                onClick={() => startGame(modeId)}
+                className="bg-white rounded-2xl p-6 shadow-xl text-left transition-all transform hover:scale-105 active:scale-95 flex flex-col gap-3"
+              >
+                <div className="flex items-center gap-4">
+                  <div className={`w-14 h-14 ${style.badge} rounded-full flex items-center justify-center flex-shrink-0`}>
+                    <SafeIcon name={style.icon} size={28} className="text-white" />
+                  </div>
+                  <h3 className="flex-1 text-xl md:text-2xl font-black text-gray-800">{modeText(modeId, 'name')}</h3>
+                  {mode.ranked !== false && (
+                    <span className="flex items-center gap-1 font-black text-yellow-600" title={t('modes.yourBest')}>
+                      <SafeIcon name="trophy" size={18} />
+                      {getBestScore(activeProfile, modeId)}
+                    </span>
+                  )}
+                </div>
+                <p className="text-gray-600 leading-relaxed">{modeText(modeId, 'description')}</p>
+              </motion.button>
+            );
+          })}
+        </div>
+
+        {/* Seed */}
+        <label className="mt-6 bg-white/90 rounded-2xl shadow-lg px-4 py-3 flex items-center gap-3">
+          <SafeIcon name="hash" size={20} className="text-gray-500" />
+          <input
+            ref={seedInputRef}
+            type="text"
+            maxLength={32}
+            placeholder={t('modes.seedPlaceholder')}
+            className="flex-1 select-text bg-transparent outline-none font-bold text-gray-700 placeholder:text-gray-400 placeholder:font-medium uppercase"
+          />
+        </label>
+      </div>
+    </motion.div>
+  );
+
   // Game View - Fullscreen Desktop
   const GameView = () => (
     <motion.div
@@ -506,29 +1420,105 @@ function App() {
       <div className="game-wrapper">
         {/* Header */}
         <div className="absolute top-0 left-0 right-0 z-20 flex items-center justify-between p-4 md:p-6 bg-gradient-to-b from-black/30 to-transparent">
-          <button
-            onClick={() => {
-              setCurrentView('menu');
-              setGameState('ready');
-              setScore(0);
-            }}
-            className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
-          >
-            <SafeIcon name="chevron-right" size={24} className="rotate-180" />
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={exitToMenu}
+              className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+            >
+              <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+            </button>
+            {(gameState === 'playing' || gameState === 'paused') && (
+              <button
+                onClick={gameState === 'playing' ? pauseGame : resumeGame}
+                className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+                title={t(gameState === 'playing' ? 'game.pause' : 'game.resume', { key: keyHint('pause') })}
+              >
+                <SafeIcon name={gameState === 'playing' ? 'pause' : 'play'} size={24} />
+              </button>
+            )}
+          </div>
 
           <div className="flex gap-4">
+            {autopilot && (
+              <div className="bg-indigo-500/90 text-white px-4 md:px-5 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2" title={t('game.autopilotNote')}>
+                <SafeIcon name={autopilot === 'demo' ? 'bot' : 'life-buoy'} size={20} />
+                <span className="hidden md:inline font-bold">{t(`game.autopilot.${autopilot}`)}</span>
+              </div>
+            )}
             <div className="bg-white/90 px-4 md:px-6 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2">
               <SafeIcon name="target" size={20} className="text-blue-500" />
               <span className="font-black text-xl md:text-2xl text-gray-800">{score}</span>
             </div>
-            <div className="bg-yellow-400/90 px-4 md:px-6 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2">
-              <SafeIcon name="trophy" size={20} className="text-yellow-800" />
+            {gameRef.current.config.powerups && (
+              <div className="bg-yellow-300/90 px-4 md:px-5 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2" title={t('game.runCoins')}>
+                <SafeIcon name="coins" size={20} className="text-yellow-800" />
+                <span className="font-black text-lg md:text-xl text-yellow-900">{runCoins}</span>
+              </div>
+            )}
+            {timeLeft !== null && (
+              <div
+                className={`px-4 md:px-6 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2 ${
+                  timeLeft <= 10 ? 'bg-red-500/90 text-white' : 'bg-blue-500/90 text-white'
+                }`}
+                title={t('game.timeLeft')}
+              >
+                <SafeIcon name="timer" size={20} />
+                <span className="font-black text-xl md:text-2xl tabular-nums">{timeLeft}</span>
+              </div>
+            )}
+            {currentStage && (
+              <motion.div
+                key={currentStage.index}
+                initial={{ scale: 1.3 }}
+                animate={{ scale: 1 }}
+                className="bg-orange-400/90 px-4 md:px-5 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2"
+                title={t('game.stage')}
+              >
+                <SafeIcon name="gauge" size={20} className="text-orange-900" />
+                <span className="font-black text-lg md:text-xl text-orange-950">{currentStage.index + 1}</span>
+                <span className="hidden md:inline font-bold text-orange-950">{stageName}</span>
+              </motion.div>
+            )}
+            {ghostReplay && (
+              <div className="bg-slate-200/90 px-4 md:px-6 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2" title={t('game.ghost')}>
+                <SafeIcon name="ghost" size={20} className="text-slate-600" />
+                <span className="font-black text-xl md:text-2xl text-slate-700">{ghostReplay.score}</span>
+              </div>
+            )}
+            <div className="bg-yellow-400/90 px-4 md:px-6 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2" title={t('game.modeBest', { mode: modeText(gameMode, 'name') })}>
+              <SafeIcon name={MODE_STYLES[gameMode].icon} size={20} className="text-yellow-800" />
               <span className="font-black text-xl md:text-2xl text-yellow-900">{highScore}</span>
             </div>
           </div>
         </div>
 
+        {/* Active power-ups */}
+        {activeEffects.length > 0 && (
+          <div className="absolute top-20 md:top-24 right-4 md:right-6 z-20 flex flex-col items-end gap-2">
+            {activeEffects.map(effect => (
+              <motion.div
+                key={effect}
+                initial={{ x: 40, opacity: 0 }}
+                animate={{ x: 0, opacity: 1 }}
+                className={`${EFFECT_STYLES[effect].badge} text-white px-3 py-2 rounded-2xl shadow-lg w-40`}
+              >
+                <div className="flex items-center gap-2 font-bold text-sm">
+                  <SafeIcon name={EFFECT_STYLES[effect].icon} size={16} />
+                  {effectName(effect)}
+                </div>
+                <div className="mt-1 h-1.5 bg-black/20 rounded-full overflow-hidden">
+                  <div
+                    ref={(el) => {
+                      effectBarRefs.current[effect] = el;
+                    }}
+                    className={`h-full ${EFFECT_STYLES[effect].bar}`}
+                  />
+                </div>
+              </motion.div>
+            ))}
+          </div>
+        )}
+
         {/* Game Canvas Container */}
         <div
           ref={containerRef}
@@ -536,14 +1526,17 @@ function App() {
         >
           <canvas
             ref={canvasRef}
-            onClick={jump}
-            onTouchStart={(e) => {
-              e.preventDefault();
-              jump();
-            }}
+            onPointerDown={(e) => inputRef.current.pointer(e)}
             className="game-canvas cursor-pointer block touch-manipulation w-full h-full"
           />
 
+          {/* FPS counter, filled in by the render loop */}
+          {settings.showFps && (
+            <div className="absolute top-2 left-2 z-10 bg-black/50 text-green-300 font-mono text-xs px-2 py-1 rounded pointer-events-none">
+              <span ref={fpsRef}>—</span> FPS
+            </div>
+          )}
+
           {/* Game Over Overlay */}
           {gameState === 'gameover' && (
             <motion.div
@@ -555,27 +1548,166 @@ function App() {
                 <div className="w-16 h-16 md:w-20 md:h-20 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
                   <SafeIcon name="x" size={32} className="text-red-500" />
                 </div>
-                <h2 className="text-2xl md:text-3xl font-black text-gray-800 mb-2">Game Over!</h2>
-                <p className="text-gray-600 mb-4 text-lg">Score: <span className="font-bold text-blue-500 text-2xl">{score}</span></p>
-                {score > highScore && (
-                  <p className="text-yellow-500 font-bold mb-4 animate-pulse text-lg">🎉 New Record!</p>
+                <h2 className="text-2xl md:text-3xl font-black text-gray-800 mb-2">
+                  {lastReplay?.cause === 'time' ? t('game.timeUp') : t('game.gameOver')}
+                </h2>
+                <p className="text-gray-500 text-sm font-bold uppercase mb-2">
+                  {dailyRun ? t('daily.title') : modeText(gameMode, 'name')}
+                  {autopilot && ` • ${t(`game.autopilot.${autopilot}`)}`}
+                </p>
+                <p className="text-gray-600 mb-4 text-lg">{t('game.score')} <span className="font-bold text-blue-500 text-2xl">{formatNumber(score)}</span></p>
+                {score > highScore && !autopilot && !dailyRun && (
+                  <p className="text-yellow-500 font-bold mb-4 animate-pulse text-lg">{t('game.newRecord')}</p>
                 )}
-                <div className="flex flex-col gap-2">
-                  <button
-                    onClick={resetGame}
-                    className="w-full bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white px-6 py-3 md:py-4 rounded-xl font-bold transition-all transform hover:scale-105 flex items-center justify-center gap-2 text-lg"
-                  >
-                    <SafeIcon name="rotate-ccw" size={20} />
-                    Играть снова
-                  </button>
+                {autopilot && (
+                  <p className="text-gray-400 text-sm mb-4">{t('game.autopilotNote')}</p>
+                )}
+                {runCoins > 0 && (
+                  <p className="text-yellow-600 font-bold mb-4 flex items-center justify-center gap-1">
+                    <SafeIcon name="coins" size={18} />
+                    {t('game.coinsEarned', { coins: runCoins })}
+                  </p>
+                )}
+                {isTopScore(leaderboard, score, scoreBoard) && !autopilot && (
+                  <label className="block text-left mb-4">
+                    <span className="text-sm font-bold text-gray-600">{t('game.topTen')}</span>
+                    <input
+                      type="text"
+                      maxLength={PROFILE_NAME_LENGTH}
+                      defaultValue={playerNameRef.current ?? activeProfile?.name ?? ''}
+                      onChange={(e) => {
+                        playerNameRef.current = e.target.value;
+                      }}
+                      placeholder={defaultPlayerName}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') resetGame();
+                      }}
+                      className="mt-1 w-full select-text border-2 border-gray-200 focus:border-yellow-400 rounded-xl px-4 py-2 font-bold text-gray-800 outline-none transition-colors"
+                    />
+                  </label>
+                )}
+                <p className="text-gray-500 text-sm mb-4 flex items-center justify-center gap-1">
+                  <SafeIcon name="hash" size={14} />
+                  {t('game.seed')} <span className="font-mono font-bold text-gray-700 select-all">{formatSeed(seed)}</span>
+                </p>
+                <div className="flex flex-col gap-2">
+                  {demoRun ? (
+                    <>
+                      <button
+                        onClick={() => resetGame()}
+                        className="w-full bg-gradient-to-r from-indigo-500 to-blue-600 hover:from-indigo-400 hover:to-blue-500 text-white px-6 py-3 md:py-4 rounded-xl font-bold transition-all transform hover:scale-105 flex items-center justify-center gap-2 text-lg"
+                      >
+                        <SafeIcon name="bot" size={20} />
+                        {t('game.watchAgain')}
+                      </button>
+                      <button
+                        onClick={() => startGame(DEFAULT_MODE, seed)}
+                        className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-6 py-3 rounded-xl font-bold transition-all flex items-center justify-center gap-2"
+                      >
+                        <SafeIcon name="play" size={20} />
+                        {t('game.playThisCourse')}
+                      </button>
+                    </>
+                  ) : dailyRun ? (
+                    <button
+                      onClick={() => resetGame()}
+                      className="w-full bg-gradient-to-r from-fuchsia-500 to-pink-600 hover:from-fuchsia-400 hover:to-pink-500 text-white px-6 py-3 md:py-4 rounded-xl font-bold transition-all transform hover:scale-105 flex items-center justify-center gap-2 text-lg"
+                    >
+                      <SafeIcon name={dailyAttemptsLeft > 0 ? 'rotate-ccw' : 'calendar-days'} size={20} />
+                      {dailyAttemptsLeft > 0
+                        ? t('daily.nextAttempt', { count: dailyAttemptsLeft })
+                        : t('daily.backToChallenge')}
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => resetGame()}
+                        className="w-full bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white px-6 py-3 md:py-4 rounded-xl font-bold transition-all transform hover:scale-105 flex items-center justify-center gap-2 text-lg"
+                      >
+                        <SafeIcon name="rotate-ccw" size={20} />
+                        {t('game.playAgain')}
+                      </button>
+                      <button
+                        onClick={() => resetGame(seed)}
+                        className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-6 py-3 rounded-xl font-bold transition-all flex items-center justify-center gap-2"
+                      >
+                        <SafeIcon name="repeat" size={20} />
+                        {t('game.sameCourse')}
+                      </button>
+                    </>
+                  )}
+                  {lastReplay && (
+                    <button
+                      onClick={() => openReplay(lastReplay)}
+                      className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-6 py-3 rounded-xl font-bold transition-all flex items-center justify-center gap-2"
+                    >
+                      <SafeIcon name="film" size={20} />
+                      {t('game.watchReplay')}
+                    </button>
+                  )}
                   <p className="text-gray-400 text-sm mt-2 hidden md:block">
-                    или нажмите Пробел
+                    {t('game.orPress', { key: keyHint('jump') })}
                   </p>
                 </div>
               </div>
             </motion.div>
           )}
 
+          {/* Pause Overlay */}
+          {gameState === 'paused' && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              className="absolute inset-0 bg-black/60 flex items-center justify-center z-10"
+            >
+              {countdown !== null ? (
+                <motion.p
+                  key={countdown}
+                  initial={{ scale: 2, opacity: 0 }}
+                  animate={{ scale: 1, opacity: 1 }}
+                  className="text-white text-8xl md:text-9xl font-black drop-shadow-lg"
+                >
+                  {countdown}
+                </motion.p>
+              ) : (
+                <div className="bg-white rounded-2xl p-6 md:p-10 text-center shadow-2xl max-w-sm w-full mx-4">
+                  <div className="w-16 h-16 md:w-20 md:h-20 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                    <SafeIcon name="pause" size={32} className="text-blue-500" />
+                  </div>
+                  <h2 className="text-2xl md:text-3xl font-black text-gray-800 mb-6">{t('game.paused')}</h2>
+                  <div className="flex flex-col gap-2">
+                    <button
+                      onClick={resumeGame}
+                      className="w-full bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white px-6 py-3 md:py-4 rounded-xl font-bold transition-all transform hover:scale-105 flex items-center justify-center gap-2 text-lg"
+                    >
+                      <SafeIcon name="play" size={20} />
+                      {t('game.continue')}
+                    </button>
+                    {dailyAttemptsLeft !== 0 && (
+                      <button
+                        onClick={abandonRun}
+                        className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-6 py-3 rounded-xl font-bold transition-all flex items-center justify-center gap-2"
+                      >
+                        <SafeIcon name="rotate-ccw" size={20} />
+                        {t('game.restart')}
+                      </button>
+                    )}
+                    <button
+                      onClick={exitToMenu}
+                      className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-6 py-3 rounded-xl font-bold transition-all flex items-center justify-center gap-2"
+                    >
+                      <SafeIcon name="home" size={20} />
+                      {t('game.toMenu')}
+                    </button>
+                    <p className="text-gray-400 text-sm mt-2 hidden md:block">
+                      {t('game.orPress', { key: keyHint('pause') })}
+                    </p>
+                  </div>
+                </div>
+              )}
+            </motion.div>
+          )}
+
           {/* Ready to start overlay */}
           {gameState === 'ready' && (
             <div className="absolute inset-0 flex items-center justify-center pointer-events-none z-10">
@@ -584,9 +1716,9 @@ function App() {
                 transition={{ duration: 1.5, repeat: Infinity }}
                 className="text-center bg-black/30 px-6 py-4 rounded-2xl backdrop-blur-sm"
               >
-                <p className="text-white text-xl md:text-3xl font-black drop-shadow-lg mb-2">Коснись чтобы лететь!</p>
-                <p className="text-white/80 text-base md:text-lg drop-shadow-md hidden md:block">Клик мыши или Пробел</p>
-                <p className="text-white/80 text-base md:text-lg drop-shadow-md md:hidden">Tap to fly</p>
+                <p className="text-white text-xl md:text-3xl font-black drop-shadow-lg mb-2">{t('game.tapToFly')}</p>
+                <p className="text-white/80 text-base md:text-lg drop-shadow-md hidden md:block">{t('game.clickOrKey', { key: keyHint('jump') })}</p>
+                <p className="text-white/80 text-base md:text-lg drop-shadow-md md:hidden">{t('game.tapScreen')}</p>
               </motion.div>
             </div>
           )}
@@ -595,18 +1727,18 @@ function App() {
         {/* Desktop controls hint */}
         <div className="absolute bottom-6 left-1/2 transform -translate-x-1/2 z-20 hidden md:flex items-center gap-6 text-white/80 text-sm font-medium bg-black/30 px-6 py-3 rounded-full backdrop-blur-sm">
           <span className="flex items-center gap-2">
-            <kbd className="bg-white/20 px-2 py-1 rounded text-xs">Пробел</kbd>
-            Прыжок
+            <kbd className="bg-white/20 px-2 py-1 rounded text-xs">{keyHint('jump')}</kbd>
+            {t('game.jump')}
           </span>
           <span className="flex items-center gap-2">
-            <kbd className="bg-white/20 px-2 py-1 rounded text-xs">ESC</kbd>
-            Меню
+            <kbd className="bg-white/20 px-2 py-1 rounded text-xs">{keyHint('pause')}</kbd>
+            {t('game.pauseHint')}
           </span>
         </div>
 
         {/* Mobile controls hint */}
         <p className="absolute bottom-6 left-1/2 transform -translate-x-1/2 z-20 text-white/80 text-sm font-medium md:hidden bg-black/30 px-4 py-2 rounded-full backdrop-blur-sm">
-          Коснитесь экрана для прыжка
+          {t('game.mobileHint')}
         </p>
       </div>
     </motion.div>
@@ -630,7 +1762,7 @@ function App() {
             <SafeIcon name="chevron-right" size={24} className="rotate-180" />
           </button>
           <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg">
-            Как играть
+            {t('rules.title')}
           </h1>
           <div className="w-12" />
         </div>
@@ -648,11 +1780,19 @@ function App() {
                 <SafeIcon name="zap" size={28} className="text-yellow-800" />
               </div>
               <div>
-                <h3 className="text-xl md:text-2xl font-black text-gray-800 mb-2">1. Управление</h3>
+                <h3 className="text-xl md:text-2xl font-black text-gray-800 mb-2">{t('rules.controlsTitle')}</h3>
                 <p className="text-gray-600 leading-relaxed md:text-lg">
-                  <span className="hidden md:inline">Нажмите <kbd className="bg-gray-100 px-2 py-1 rounded font-mono text-sm">Пробел</kbd> или кликните мышью, чтобы птица взмахнула крыльями.</span>
-                  <span className="md:hidden">Коснитесь экрана, чтобы птица взмахнула крыльями.</span>
-                  Отпустите - и птица начнет падать под действием гравитации.
+                  <span className="hidden md:inline">{t('rules.controlsPress')} <kbd className="bg-gray-100 px-2 py-1 rounded font-mono text-sm">{keyHint('jump')}</kbd> {t('rules.controlsClick')}</span>
+                  <span className="md:hidden">{t('rules.controlsTouch')}</span>
+                  {' '}{t('rules.controlsFall')}
+                  <span className="hidden md:inline"> {t('rules.controlsPauseBefore')} <kbd className="bg-gray-100 px-2 py-1 rounded font-mono text-sm">{keyHint('pause')}</kbd> {t('rules.controlsPauseAfter')}</span>
+                </p>
+                <p className="text-gray-600 leading-relaxed md:text-lg mt-2 flex items-center gap-2">
+                  <SafeIcon name="gamepad-2" size={20} className="text-gray-400 flex-shrink-0" />
+                  {t('rules.controlsGamepad', {
+                    jump: formatButtons(settings.gamepad.jump),
+                    pause: formatButtons(settings.gamepad.pause)
+                  })}
                 </p>
               </div>
             </div>
@@ -669,11 +1809,9 @@ function App() {
                 <SafeIcon name="target" size={28} className="text-white" />
               </div>
               <div>
-                <h3 className="text-xl md:text-2xl font-black text-gray-800 mb-2">2. Цель игры</h3>
+                <h3 className="text-xl md:text-2xl font-black text-gray-800 mb-2">{t('rules.goalTitle')}</h3>
                 <p className="text-gray-600 leading-relaxed md:text-lg">
-                  Проползайте между зелеными трубами, не касаясь их.
-                  Каждая успешно пройденная пара труб приносит 1 очко.
-                  Сложность постепенно увеличивается!
+                  {t('rules.goal')}
                 </p>
               </div>
             </div>
@@ -690,17 +1828,66 @@ function App() {
                 <SafeIcon name="award" size={28} className="text-white" />
               </div>
               <div>
-                <h3 className="text-xl md:text-2xl font-black text-gray-800 mb-2">3. Таблица лидеров</h3>
+                <h3 className="text-xl md:text-2xl font-black text-gray-800 mb-2">{t('rules.leaderboardTitle')}</h3>
                 <p className="text-gray-600 leading-relaxed md:text-lg">
-                  Ваши лучшие результаты автоматически сохраняются.
-                  Соревнуйтесь с друзьями за место в топ-10!
-                  Можете ли вы набрать 100 очков?
+                  {t('rules.leaderboard')}
                 </p>
               </div>
             </div>
           </motion.div>
         </div>
 
+        {/* Per-mode rules */}
+        <h2 className="mt-10 mb-4 text-2xl md:text-3xl font-black text-white drop-shadow-lg">{t('rules.modesTitle')}</h2>
+        <div className="grid md:grid-cols-2 gap-4 md:gap-6">
+          {MODE_ORDER.map((modeId, index) => {
+            const style = MODE_STYLES[modeId];
+            return (
+              <motion.div
+                key={modeId}
+                initial={{ y: 20, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.4 + index * 0.1 }}
+                className="bg-white rounded-2xl p-6 shadow-xl"
+              >
+                <div className="flex items-center gap-3 mb-3">
+                  <div className={`w-10 h-10 ${style.badge} rounded-full flex items-center justify-center flex-shrink-0`}>
+                    <SafeIcon name={style.icon} size={20} className="text-white" />
+                  </div>
+                  <h3 className="text-xl font-black text-gray-800">{modeText(modeId, 'name')}</h3>
+                </div>
+                <ul className="space-y-1 text-gray-600">
+                  {modeText(modeId, 'rules').map(rule => (
+                    <li key={rule}>• {rule}</li>
+                  ))}
+                </ul>
+              </motion.div>
+            );
+          })}
+        </div>
+
+        {/* Power-ups */}
+        <h2 className="mt-10 mb-4 text-2xl md:text-3xl font-black text-white drop-shadow-lg">{t('rules.bonusesTitle')}</h2>
+        <div className="bg-white rounded-2xl p-6 shadow-xl grid md:grid-cols-2 gap-4">
+          {[
+            ['coin', 'coins', 'bg-yellow-400'],
+            ['shield', 'shield', 'bg-blue-500'],
+            ['slowMo', 'hourglass', 'bg-purple-500'],
+            ['shrink', 'minimize-2', 'bg-pink-500']
+          ].map(([id, icon, color]) => (
+            <div key={id} className="flex items-center gap-3">
+              <div className={`w-10 h-10 ${color} rounded-full flex items-center justify-center flex-shrink-0`}>
+                <SafeIcon name={icon} size={20} className="text-white" />
+              </div>
+              <p className="text-gray-600">
+                <span className="font-black text-gray-800">{t(`rules.bonuses.${id}.name`)}</span>
+                {' — '}
+                {t(`rules.bonuses.${id}.text`, { seconds: (EFFECTS[id]?.duration ?? 0) / TICKS_PER_SECOND })}
+              </p>
+            </div>
+          ))}
+        </div>
+
         {/* Tips */}
         <motion.div
           initial={{ opacity: 0 }}
@@ -710,19 +1897,111 @@ function App() {
         >
           <h4 className="text-xl md:text-2xl font-black text-yellow-900 mb-3 flex items-center gap-2">
             <SafeIcon name="star" size={24} />
-            Советы про
+            {t('rules.tipsTitle')}
           </h4>
           <ul className="space-y-2 text-yellow-900 font-semibold md:text-lg">
-            <li>• Не спешите - найдите свой ритм</li>
-            <li>• Короткие тапы лучше длинных</li>
-            <li>• Следите за следующей трубой заранее</li>
-            <li>• Не отвлекайтесь на счет во время игры!</li>
+            {t('rules.tips').map(tip => (
+              <li key={tip}>• {tip}</li>
+            ))}
           </ul>
         </motion.div>
       </div>
     </motion.div>
   );
 
+  // Retry scores queued while the remote leaderboard was unreachable
+  useEffect(() => watchRemoteQueue(), []);
+
+  // Latest request per board; answers to earlier ones (another mode tab) are dropped
+  const boardRequestsRef = useRef(new Map());
+
+  // Fills the leaderboard view's global tab, or the daily board when given its setter
+  const loadGlobalLeaderboard = useCallback(async (mode, setBoard = setGlobalBoard) => {
+    if (!remoteLeaderboard) {
+      setBoard({ status: 'disabled', entries: [] });
+      return;
+    }
+    const requestId = (boardRequestsRef.current.get(setBoard) ?? 0) + 1;
+    boardRequestsRef.current.set(setBoard, requestId);
+    const isCurrent = () => boardRequestsRef.current.get(setBoard) === requestId;
+
+    setBoard(board => ({ ...board, status: 'loading' }));
+    try {
+      await remoteLeaderboard.flush().catch(() => {});
+      const entries = await remoteLeaderboard.fetchScores(LEADERBOARD_SIZE, mode);
+      if (isCurrent()) setBoard({ status: 'ready', entries });
+    } catch {
+      if (isCurrent()) setBoard(board => ({ ...board, status: 'error' }));
+    }
+  }, []);
+
+  const openDaily = () => {
+    setLeaderboard(getLeaderboard());
+    setCurrentView('daily');
+    loadGlobalLeaderboard(getDailyBoardId(getDailyKey()), setDailyBoard);
+  };
+
+  const showLeaderboardTab = (tab) => {
+    setLeaderboardTab(tab);
+    if (tab === 'global') loadGlobalLeaderboard(leaderboardMode);
+  };
+
+  const showLeaderboardMode = (mode) => {
+    setLeaderboardMode(mode);
+    if (leaderboardTab === 'global') loadGlobalLeaderboard(mode);
+  };
+
+  // Leaderboard export / import
+  const exportLeaderboard = (format) => {
+    const data = { leaderboard, profiles: profileStore.profiles };
+    const fileName = `flappy-leaderboard-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'csv') {
+      downloadFile(fileName, serializeCSV(data), 'text/csv');
+    } else {
+      downloadFile(fileName, serializeJSON(data), 'application/json');
+    }
+  };
+
+  const readImportFile = async (file) => {
+    try {
+      const parsed = parseLeaderboardFile(await file.text());
+      setPendingImport({
+        ...parsed,
+        fileName: file.name,
+        duplicates: findDuplicates(leaderboard, parsed.entries).length
+      });
+      setImportMessage(null);
+    } catch (error) {
+      setPendingImport(null);
+      setImportMessage({ type: 'error', text: t('leaderboard.readError', { file: file.name, error: error.message }) });
+    }
+  };
+
+  const applyImport = (mode) => {
+    const result = importLeaderboard(profileStore, pendingImport, mode, defaultPlayerName);
+    setLeaderboard(result.leaderboard);
+    setProfileStore(result.profiles);
+    setLeaderboardFilter('all');
+    setImportMessage({
+      type: 'success',
+      text: mode === 'replace' ? t('leaderboard.replaced') : t('leaderboard.merged')
+    });
+    setPendingImport(null);
+  };
+
+  // Players appearing on the leaderboard, for the filter chips
+  const leaderboardPlayers = [...new Map(
+    leaderboard
+      .filter(entry => entry.playerId != null)
+      .map(entry => [entry.playerId, getEntryPlayerName(profileStore, entry, defaultPlayerName)])
+  )];
+  const modeLeaderboard = getModeScores(leaderboard, leaderboardMode);
+  const visibleLeaderboard = leaderboardFilter === 'all'
+    ? modeLeaderboard
+    : modeLeaderboard.filter(entry => entry.playerId === leaderboardFilter);
+  const shownEntries = leaderboardTab === 'global' ? globalBoard.entries : visibleLeaderboard;
+  const pendingSubmissions = remoteLeaderboard ? remoteLeaderboard.pendingCount() : 0;
+
   // Leaderboard View
   const LeaderboardView = () => (
     <motion.div
@@ -742,30 +2021,106 @@ function App() {
           </button>
           <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg flex items-center gap-3">
             <SafeIcon name="trophy" size={40} className="text-yellow-300" />
-            Топ игроков
+            {t('leaderboard.title')}
           </h1>
           <div className="w-12" />
         </div>
 
+        {/* Local / Global tabs */}
+        <div className="flex bg-white/20 p-1 rounded-full mb-4 max-w-xs mx-auto">
+          {[['local', 'monitor'], ['global', 'globe']].map(([tab, icon]) => (
+            <button
+              key={tab}
+              onClick={() => showLeaderboardTab(tab)}
+              className={`flex-1 px-4 py-2 rounded-full font-bold text-sm md:text-base transition-all flex items-center justify-center gap-2 ${
+                leaderboardTab === tab ? 'bg-white text-purple-600 shadow-lg' : 'text-white hover:bg-white/10'
+              }`}
+            >
+              <SafeIcon name={icon} size={18} />
+              {t(`leaderboard.${tab}`)}
+            </button>
+          ))}
+        </div>
+
+        {/* Game mode sections */}
+        <div className="flex flex-wrap justify-center gap-2 mb-4">
+          {RANKED_MODES.map(modeId => (
+            <button
+              key={modeId}
+              onClick={() => showLeaderboardMode(modeId)}
+              className={`px-4 py-2 rounded-full font-bold text-sm md:text-base transition-all flex items-center gap-2 ${
+                leaderboardMode === modeId
+                  ? 'bg-yellow-300 text-purple-700 shadow-lg'
+                  : 'bg-white/20 text-white hover:bg-white/30'
+              }`}
+            >
+              <SafeIcon name={MODE_STYLES[modeId].icon} size={18} />
+              {modeText(modeId, 'name')}
+            </button>
+          ))}
+        </div>
+
+        {/* Player filter */}
+        {leaderboardTab === 'local' && leaderboardPlayers.length > 1 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {[['all', t('leaderboard.all')], ...leaderboardPlayers].map(([playerId, name]) => (
+              <button
+                key={playerId}
+                onClick={() => setLeaderboardFilter(playerId)}
+                className={`px-4 py-2 rounded-full font-bold text-sm md:text-base transition-all ${
+                  leaderboardFilter === playerId
+                    ? 'bg-white text-purple-600 shadow-lg'
+                    : 'bg-white/20 text-white hover:bg-white/30'
+                }`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Leaderboard List */}
         <div className="bg-white/95 rounded-3xl shadow-2xl overflow-hidden">
           {/* Header row */}
           <div className="bg-gradient-to-r from-yellow-400 to-orange-500 p-4 md:p-6 flex items-center font-black text-white text-lg md:text-xl">
             <div className="w-16 md:w-24 text-center">#</div>
-            <div className="flex-1">Игрок</div>
-            <div className="w-24 md:w-32 text-right">Очки</div>
+            <div className="flex-1">{t('leaderboard.player')}</div>
+            <div className="w-24 md:w-32 text-right">{t('leaderboard.score')}</div>
+            <div className="w-12" />
           </div>
 
           {/* Scores */}
           <div className="max-h-[60vh] overflow-y-auto">
-            {leaderboard.length === 0 ? (
+            {leaderboardTab === 'global' && globalBoard.status !== 'ready' ? (
+              <div className="p-12 text-center text-gray-500">
+                {globalBoard.status === 'error' ? (
+                  <>
+                    <SafeIcon name="wifi-off" size={48} className="mx-auto mb-4 opacity-50" />
+                    <p className="text-lg md:text-xl font-semibold">{t('leaderboard.serverDown')}</p>
+                    <button
+                      onClick={() => loadGlobalLeaderboard(leaderboardMode)}
+                      className="mt-4 bg-purple-500 hover:bg-purple-600 text-white px-4 py-2 rounded-xl font-bold transition-colors"
+                    >
+                      {t('leaderboard.retry')}
+                    </button>
+                  </>
+                ) : globalBoard.status === 'disabled' ? (
+                  <>
+                    <SafeIcon name="globe" size={48} className="mx-auto mb-4 opacity-50" />
+                    <p className="text-lg md:text-xl font-semibold">{t('leaderboard.disabled')}</p>
+                  </>
+                ) : (
+                  <SafeIcon name="loader" size={48} className="mx-auto animate-spin opacity-50" />
+                )}
+              </div>
+            ) : shownEntries.length === 0 ? (
               <div className="p-12 text-center text-gray-500">
                 <SafeIcon name="target" size={48} className="mx-auto mb-4 opacity-50" />
-                <p className="text-lg md:text-xl font-semibold">Пока нет рекордов</p>
-                <p className="text-sm md:text-base mt-2">Сыграйте первым!</p>
+                <p className="text-lg md:text-xl font-semibold">{t('leaderboard.empty')}</p>
+                <p className="text-sm md:text-base mt-2">{t('leaderboard.beFirst')}</p>
               </div>
             ) : (
-              leaderboard.map((entry, index) => (
+              shownEntries.map((entry, index) => (
                 <motion.div
                   key={entry.id}
                   initial={{ opacity: 0, x: -20 }}
@@ -789,11 +2144,29 @@ function App() {
                     )}
                   </div>
                   <div className="flex-1">
-                    <p className="font-bold text-gray-800 text-base md:text-lg">Игрок {entry.id.toString().slice(-4)}</p>
-                    <p className="text-xs md:text-sm text-gray-500">{entry.date}</p>
+                    <p className="font-bold text-gray-800 text-base md:text-lg">{getEntryPlayerName(profileStore, entry, defaultPlayerName)}</p>
+                    <p className="text-xs md:text-sm text-gray-500">
+                      {formatDate(entry.date)}
+                      {entry.difficulty && DIFFICULTY_CURVES[entry.difficulty] && (
+                        <span className="ml-2 bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full font-bold">
+                          {curveLabel(entry.difficulty)}
+                        </span>
+                      )}
+                    </p>
                   </div>
                   <div className="w-24 md:w-32 text-right">
-                    <span className="text-2xl md:text-3xl font-black text-blue-600">{entry.score}</span>
+                    <span className="text-2xl md:text-3xl font-black text-blue-600">{formatNumber(entry.score)}</span>
+                  </div>
+                  <div className="w-12 flex justify-end">
+                    {entry.replayId && findReplay(replays, entry.replayId) && (
+                      <button
+                        onClick={() => openReplay(findReplay(replays, entry.replayId))}
+                        className="text-purple-500 hover:text-purple-700 p-2 rounded-full hover:bg-purple-50 transition-colors"
+                        title={t('leaderboard.watchReplay')}
+                      >
+                        <SafeIcon name="play-circle" size={24} />
+                      </button>
+                    )}
                   </div>
                 </motion.div>
               ))
@@ -801,34 +2174,1375 @@ function App() {
           </div>
         </div>
 
-        {/* Clear button */}
-        {leaderboard.length > 0 && (
-          <motion.button
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
+        {leaderboardTab === 'global' && pendingSubmissions > 0 && (
+          <p className="mt-4 text-center text-white/80 font-semibold flex items-center justify-center gap-2">
+            <SafeIcon name="clock" size={18} />
+            {t('leaderboard.pending', { count: pendingSubmissions })}
+          </p>
+        )}
+
+        {leaderboardTab === 'local' && (
+          <>
+          {/* Recent runs */}
+          {replays.recent.length > 0 && (
+            <div className="mt-6 bg-white/95 rounded-3xl shadow-2xl overflow-hidden">
+              <div className="px-4 md:px-6 py-3 font-black text-gray-700 flex items-center gap-2 border-b border-gray-100">
+                <SafeIcon name="film" size={20} className="text-purple-500" />
+                {t('leaderboard.recentRuns')}
+              </div>
+              {replays.recent.map(replay => (
+                <button
+                  key={replay.id}
+                  onClick={() => openReplay(replay)}
+                  className="w-full px-4 md:px-6 py-3 flex items-center gap-4 border-b border-gray-100 last:border-0 hover:bg-purple-50 transition-colors text-left"
+                >
+                  <SafeIcon name="play-circle" size={22} className="text-purple-500" />
+                  <span className="flex-1 text-sm md:text-base text-gray-600">
+                    {formatDateTime(replay.date)}
+                    <span className="ml-2 font-mono text-xs text-gray-400">#{formatSeed(replay.seed)}</span>
+                    <span className="ml-2 text-xs font-bold text-gray-400">{modeText(getReplayMode(replay), 'name')}</span>
+                  </span>
+                  <span className="font-black text-lg text-blue-600">{formatNumber(replay.score)}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Export / import */}
+          <div className="mt-6 flex flex-wrap justify-center gap-2">
+            <button
+              onClick={() => exportLeaderboard('json')}
+              disabled={leaderboard.length === 0}
+              className="bg-white/20 hover:bg-white/30 disabled:opacity-40 disabled:hover:bg-white/20 text-white px-4 py-2 rounded-full font-bold text-sm md:text-base transition-colors flex items-center gap-2"
+            >
+              <SafeIcon name="download" size={18} />
+              JSON
+            </button>
+            <button
+              onClick={() => exportLeaderboard('csv')}
+              disabled={leaderboard.length === 0}
+              className="bg-white/20 hover:bg-white/30 disabled:opacity-40 disabled:hover:bg-white/20 text-white px-4 py-2 rounded-full font-bold text-sm md:text-base transition-colors flex items-center gap-2"
+            >
+              <SafeIcon name="download" size={18} />
+              CSV
+            </button>
+            <button
+              onClick={() => importInputRef.current?.click()}
+              className="bg-white/20 hover:bg-white/30 text-white px-4 py-2 rounded-full font-bold text-sm md:text-base transition-colors flex items-center gap-2"
+            >
+              <SafeIcon name="upload" size={18} />
+              {t('leaderboard.import')}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (file) readImportFile(file);
+              }}
+            />
+          </div>
+
+          {/* Import confirmation */}
+          {pendingImport && (
+            <motion.div
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="mt-4 bg-white rounded-2xl p-4 md:p-6 shadow-xl"
+            >
+              <p className="font-black text-gray-800 mb-1">{pendingImport.fileName}</p>
+              <p className="text-gray-600 text-sm md:text-base mb-4">
+                {t('leaderboard.importEntries', {
+                  entries: pendingImport.entries.length,
+                  duplicates: pendingImport.duplicates
+                })}
+                {pendingImport.players.length > 0 && t('leaderboard.importPlayers', { count: pendingImport.players.length })}
+                {pendingImport.rejected > 0 && t('leaderboard.importRejected', { count: pendingImport.rejected })}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => applyImport('merge')}
+                  className="bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white px-4 py-2 rounded-xl font-bold transition-all"
+                >
+                  {t('leaderboard.merge')}
+                </button>
+                <button
+                  onClick={() => applyImport('replace')}
+                  className="bg-gradient-to-r from-orange-500 to-red-500 hover:from-orange-400 hover:to-red-400 text-white px-4 py-2 rounded-xl font-bold transition-all"
+                >
+                  {t('leaderboard.replace')}
+                </button>
+                <button
+                  onClick={() => setPendingImport(null)}
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-xl font-bold transition-all"
+                >
+                  {t('leaderboard.cancel')}
+                </button>
+              </div>
+            </motion.div>
+          )}
+
+          {importMessage && !pendingImport && (
+            <p className={`mt-4 text-center font-semibold ${
+              importMessage.type === 'error' ? 'text-red-100' : 'text-white'
+            }`}>
+              {importMessage.text}
+            </p>
+          )}
+
+          {/* Clear button */}
+          {leaderboard.length > 0 && (
+            <motion.button
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              onClick={() => {
+                setLeaderboard(storage.reset('leaderboard'));
+                setLeaderboardFilter('all');
+              }}
+              className="mt-6 mx-auto block text-white/70 hover:text-white text-sm md:text-base font-semibold transition-colors"
+            >
+              {t('leaderboard.clear')}
+            </motion.button>
+          )}
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+
+  // Profiles View
+  const ProfilesView = () => (
+    <motion.div
+      initial={{ opacity: 0, x: 100 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -100 }}
+      className="min-h-screen bg-gradient-to-b from-indigo-500 to-purple-500 p-4 md:p-8"
+    >
+      <div className="max-w-3xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <button
             onClick={() => {
-              localStorage.removeItem('flappyLeaderboard');
-              setLeaderboard([]);
+              setEditingProfileId(null);
+              setCurrentView('menu');
             }}
-            className="mt-6 mx-auto block text-white/70 hover:text-white text-sm md:text-base font-semibold transition-colors"
+            className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
           >
-            Очистить таблицу
-          </motion.button>
-        )}
+            <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+          </button>
+          <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg flex items-center gap-3">
+            <SafeIcon name="users" size={40} className="text-purple-200" />
+            {t('profiles.title')}
+          </h1>
+          <div className="w-12" />
+        </div>
+
+        {/* Profile list */}
+        <div className="bg-white/95 rounded-3xl shadow-2xl overflow-hidden">
+          {profileStore.profiles.length === 0 && (
+            <div className="p-12 text-center text-gray-500">
+              <SafeIcon name="user" size={48} className="mx-auto mb-4 opacity-50" />
+              <p className="text-lg md:text-xl font-semibold">{t('profiles.empty')}</p>
+              <p className="text-sm md:text-base mt-2">{t('profiles.createBelow')}</p>
+            </div>
+          )}
+          {profileStore.profiles.map(profile => (
+            <div
+              key={profile.id}
+              className={`p-4 md:p-6 flex items-center gap-4 border-b border-gray-100 ${
+                profile.id === profileStore.activeId ? 'bg-purple-50' : ''
+              }`}
+            >
+              {editingProfileId === profile.id ? (
+                <form
+                  className="flex-1 flex items-center gap-2"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    updateProfiles(renameProfile(profileStore, profile.id, e.currentTarget.elements.name.value));
+                    setEditingProfileId(null);
+                  }}
+                >
+                  <input
+                    name="name"
+                    type="text"
+                    autoFocus
+                    maxLength={PROFILE_NAME_LENGTH}
+                    defaultValue={profile.name}
+                    className="flex-1 select-text border-2 border-gray-200 focus:border-purple-400 rounded-xl px-4 py-2 font-bold text-gray-800 outline-none"
+                  />
+                  <button type="submit" className="bg-purple-500 hover:bg-purple-600 text-white p-2 rounded-full transition-colors">
+                    <SafeIcon name="check" size={20} />
+                  </button>
+                  <button type="button" onClick={() => setEditingProfileId(null)} className="text-gray-400 hover:text-gray-600 p-2 rounded-full transition-colors">
+                    <SafeIcon name="x" size={20} />
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <button
+                    onClick={() => updateProfiles({ ...profileStore, activeId: profile.id })}
+                    className="flex-1 flex items-center gap-3 text-left"
+                  >
+                    <SafeIcon
+                      name={profile.id === profileStore.activeId ? 'check-circle' : 'circle'}
+                      size={24}
+                      className={profile.id === profileStore.activeId ? 'text-purple-500' : 'text-gray-300'}
+                    />
+                    <span className="font-bold text-gray-800 text-base md:text-lg">{profile.name}</span>
+                  </button>
+                  <span className="flex items-center gap-3 font-black text-yellow-600">
+                    <span className="flex items-center gap-1" title={t('profiles.coins')}>
+                      <SafeIcon name="coins" size={16} />
+                      {formatNumber(getCoins(profile))}
+                    </span>
+                    {RANKED_MODES.map(modeId => (
+                      <span key={modeId} className="flex items-center gap-1" title={modeText(modeId, 'name')}>
+                        <SafeIcon name={MODE_STYLES[modeId].icon} size={16} />
+                        {formatNumber(getBestScore(profile, modeId))}
+                      </span>
+                    ))}
+                  </span>
+                  <button
+                    onClick={() => setEditingProfileId(profile.id)}
+                    className="text-gray-400 hover:text-purple-600 p-2 rounded-full hover:bg-purple-50 transition-colors"
+                    title={t('profiles.rename')}
+                  >
+                    <SafeIcon name="edit" size={20} />
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(t('profiles.confirmDelete', { name: profile.name }))) {
+                        updateProfiles(deleteProfile(profileStore, profile.id));
+                      }
+                    }}
+                    className="text-gray-400 hover:text-red-500 p-2 rounded-full hover:bg-red-50 transition-colors"
+                    title={t('profiles.delete')}
+                  >
+                    <SafeIcon name="trash" size={20} />
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+
+          {/* New profile */}
+          <form
+            className="p-4 md:p-6 flex items-center gap-2 bg-gray-50"
+            onSubmit={(e) => {
+              e.preventDefault();
+              const input = e.currentTarget.elements.name;
+              if (!normalizeName(input.value)) return;
+              updateProfiles(selectProfileByName(profileStore, input.value, defaultPlayerName));
+              input.value = '';
+            }}
+          >
+            <input
+              name="name"
+              type="text"
+              maxLength={PROFILE_NAME_LENGTH}
+              placeholder={t('profiles.newName')}
+              className="flex-1 select-text border-2 border-gray-200 focus:border-purple-400 rounded-xl px-4 py-2 font-bold text-gray-800 outline-none"
+            />
+            <button
+              type="submit"
+              className="bg-gradient-to-r from-purple-500 to-indigo-500 hover:from-purple-400 hover:to-indigo-400 text-white px-4 py-2 rounded-xl font-bold transition-all flex items-center gap-2"
+            >
+              <SafeIcon name="plus" size={20} />
+              {t('profiles.add')}
+            </button>
+          </form>
+        </div>
+      </div>
+    </motion.div>
+  );
+
+  // Statistics View - the active player's run history
+  const StatsView = () => {
+    const playerId = activeProfile?.id ?? null;
+    const playerRuns = runs.filter(run =>
+      run.playerId === playerId && (statsMode === 'all' || run.mode === statsMode)
+    );
+    const summary = summarizeRuns(playerRuns);
+    const histogram = getScoreHistogram(playerRuns.map(run => run.score));
+    const histogramMax = Math.max(1, ...histogram.map(bucket => bucket.count));
+    const progress = getProgress(playerRuns).slice(-STATS_CHART_RUNS);
+    const chartMax = Math.max(1, ...progress.map(point => point.score));
+    const round = (value) => formatNumber(Math.round(value * 10) / 10);
+    const streak = ({ best, current }) => t('stats.streakValue', { best, current });
+
+    const cards = [
+      ['gamepad-2', t('stats.played'), formatNumber(summary.played)],
+      ['trophy', t('stats.best'), formatNumber(summary.best)],
+      ['activity', t('stats.average'), round(summary.average)],
+      ['bar-chart-3', t('stats.median'), round(summary.median)],
+      ['flame', t('stats.scoreStreak', { score: STREAK_SCORE }), streak(summary.scoreStreak)],
+      ['calendar-days', t('stats.dayStreak'), streak(summary.dayStreak)],
+      ['wind', t('stats.flaps'), formatNumber(summary.flaps)],
+      ['clock', t('stats.time'), t('stats.minutes', { count: Math.round(summary.time / 60) })],
+    ];
+
+    return (
+      <motion.div
+        initial={{ opacity: 0, x: 100 }}
+        animate={{ opacity: 1, x: 0 }}
+        exit={{ opacity: 0, x: -100 }}
+        className="min-h-screen bg-gradient-to-b from-teal-500 to-cyan-600 p-4 md:p-8"
+      >
+        <div className="max-w-3xl mx-auto">
+          {/* Header */}
+          <div className="flex items-center justify-between mb-8">
+            <button
+              onClick={() => setCurrentView('menu')}
+              className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+            >
+              <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+            </button>
+            <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg flex items-center gap-3">
+              <SafeIcon name="bar-chart-3" size={40} className="text-teal-200" />
+              {t('stats.title')}
+            </h1>
+            <div className="w-12" />
+          </div>
+
+          <p className="text-white/90 font-bold mb-3 flex items-center gap-2">
+            <SafeIcon name="user" size={18} />
+            {activeProfile ? activeProfile.name : t('stats.noPlayer')}
+          </p>
+          <div className="flex flex-wrap gap-2 mb-6">
+            {['all', ...MODE_ORDER].map(modeId => (
+              <button
+                key={modeId}
+                onClick={() => setStatsMode(modeId)}
+                className={`px-4 py-2 rounded-full font-bold text-sm transition-colors ${
+                  statsMode === modeId ? 'bg-white text-teal-700 shadow' : 'bg-white/20 text-white hover:bg-white/30'
+                }`}
+              >
+                {modeId === 'all' ? t('stats.allModes') : modeText(modeId, 'name')}
+              </button>
+            ))}
+          </div>
+
+          {playerRuns.length === 0 ? (
+            <div className="bg-white/95 rounded-3xl shadow-2xl p-12 text-center text-gray-500">
+              <SafeIcon name="bar-chart-3" size={48} className="mx-auto mb-4 opacity-50" />
+              <p className="text-lg md:text-xl font-semibold">{t('stats.empty')}</p>
+              <p className="text-sm md:text-base mt-2">{t('stats.emptyHint')}</p>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {/* Totals */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {cards.map(([icon, label, value]) => (
+                  <div key={label} className="bg-white/95 rounded-2xl shadow-lg p-4">
+                    <p className="text-xs md:text-sm font-bold text-gray-500 flex items-center gap-1">
+                      <SafeIcon name={icon} size={14} className="text-teal-500" />
+                      {label}
+                    </p>
+                    <p className="text-xl md:text-2xl font-black text-gray-800 mt-1">{value}</p>
+                  </div>
+                ))}
+              </div>
+
+              {/* Score histogram */}
+              <div className="bg-white/95 rounded-3xl shadow-2xl p-6 md:p-8">
+                <h2 className="text-xl md:text-2xl font-black text-gray-800 mb-4">{t('stats.histogram')}</h2>
+                <div className="flex items-end gap-1 h-40">
+                  {histogram.map(bucket => (
+                    <div key={bucket.from} className="flex-1 h-full flex flex-col justify-end items-center gap-1" title={formatNumber(bucket.count)}>
+                      {bucket.count > 0 && <span className="text-xs font-bold text-gray-500">{formatNumber(bucket.count)}</span>}
+                      <div
+                        className="w-full bg-gradient-to-t from-teal-500 to-cyan-400 rounded-t-md"
+                        style={{ height: `${(bucket.count / histogramMax) * 100}%` }}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div className="flex gap-1 mt-1">
+                  {histogram.map(bucket => (
+                    <span key={bucket.from} className="flex-1 text-center text-xs text-gray-400 font-semibold">
+                      {bucket.from === bucket.to ? bucket.from : `${bucket.from}–${bucket.to}`}
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              {/* Progress over time */}
+              <div className="bg-white/95 rounded-3xl shadow-2xl p-6 md:p-8">
+                <h2 className="text-xl md:text-2xl font-black text-gray-800 mb-1">{t('stats.progress')}</h2>
+                <p className="text-sm text-gray-500 mb-4">{t('stats.progressNote')}</p>
+                <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full h-48 bg-gray-50 rounded-xl">
+                  <polyline
+                    points={toChartPoints(progress.map(point => point.score), chartMax)}
+                    fill="none"
+                    stroke="#99f6e4"
+                    strokeWidth="2"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                  <polyline
+                    points={toChartPoints(progress.map(point => point.average), chartMax)}
+                    fill="none"
+                    stroke="#0d9488"
+                    strokeWidth="3"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                </svg>
+              </div>
+
+              {/* Causes */}
+              <div className="bg-white/95 rounded-3xl shadow-2xl p-6 md:p-8">
+                <h2 className="text-xl md:text-2xl font-black text-gray-800 mb-4">{t('stats.causes')}</h2>
+                <div className="space-y-2">
+                  {REPLAY_CAUSES.filter(cause => summary.causes[cause]).map(cause => (
+                    <div key={cause} className="flex items-center justify-between font-bold text-gray-700">
+                      <span className="flex items-center gap-2">
+                        <SafeIcon name="skull" size={16} className="text-gray-400" />
+                        {t(`replay.causes.${cause}`)}
+                      </span>
+                      <span>{formatNumber(summary.causes[cause])}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    );
+  };
+
+  // Achievements View - the active player's badges
+  const AchievementsView = () => {
+    const record = getAchievementRecord(activeProfile?.id);
+    const unlockedCount = ACHIEVEMENTS.filter(achievement => record.unlocked[achievement.id]).length;
+
+    return (
+      <motion.div
+        initial={{ opacity: 0, x: 100 }}
+        animate={{ opacity: 1, x: 0 }}
+        exit={{ opacity: 0, x: -100 }}
+        className="min-h-screen bg-gradient-to-b from-amber-500 to-orange-500 p-4 md:p-8"
+      >
+        <div className="max-w-3xl mx-auto">
+          {/* Header */}
+          <div className="flex items-center justify-between mb-8">
+            <button
+              onClick={() => setCurrentView('menu')}
+              className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+            >
+              <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+            </button>
+            <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg flex items-center gap-3">
+              <SafeIcon name="award" size={40} className="text-amber-200" />
+              {t('achievements.title')}
+            </h1>
+            <div className="w-12" />
+          </div>
+
+          <p className="text-white/90 font-bold mb-6 flex items-center gap-2">
+            <SafeIcon name="user" size={18} />
+            {activeProfile ? activeProfile.name : t('achievements.guest')}
+            <span className="ml-auto">
+              {t('achievements.count', { unlocked: unlockedCount, total: ACHIEVEMENTS.length })}
+            </span>
+          </p>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            {ACHIEVEMENTS.map(achievement => {
+              const unlockedAt = record.unlocked[achievement.id];
+              const count = Math.min(record.progress[achievement.id] ?? 0, achievement.goal ?? 0);
+
+              return (
+                <div
+                  key={achievement.id}
+                  className={`rounded-2xl shadow-lg p-4 flex flex-col items-center text-center gap-2 ${
+                    unlockedAt ? 'bg-white' : 'bg-white/70'
+                  }`}
+                >
+                  <div className={`w-14 h-14 rounded-full flex items-center justify-center ${
+                    unlockedAt
+                      ? 'bg-gradient-to-br from-yellow-400 to-orange-500 text-white shadow-lg'
+                      : 'bg-gray-200 text-gray-400'
+                  }`}>
+                    <SafeIcon name={unlockedAt ? achievement.icon : 'lock'} size={26} />
+                  </div>
+                  <p className={`font-black ${unlockedAt ? 'text-gray-800' : 'text-gray-500'}`}>
+                    {achievementText(achievement, 'name')}
+                  </p>
+                  <p className="text-xs md:text-sm text-gray-500">{achievementText(achievement, 'description')}</p>
+                  {unlockedAt ? (
+                    <p className="text-xs font-bold text-amber-600">{formatDate(unlockedAt)}</p>
+                  ) : achievement.goal && (
+                    <div className="w-full">
+                      <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-amber-400"
+                          style={{ width: `${(count / achievement.goal) * 100}%` }}
+                        />
+                      </div>
+                      <p className="text-xs font-bold text-gray-400 mt-1">
+                        {formatNumber(count)} / {formatNumber(achievement.goal)}
+                      </p>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </motion.div>
+    );
+  };
+
+  // Daily Challenge View
+  const DailyView = () => {
+    const dayKey = getDailyKey();
+    const day = getDailyDay(activeProfile?.id, dayKey);
+    const attemptsLeft = getAttemptsLeft(activeProfile?.id, dayKey);
+    const streak = getDailyStreak(activeProfile?.id, dayKey);
+    const boards = [
+      { id: 'local', icon: 'smartphone', entries: getModeScores(leaderboard, getDailyBoardId(dayKey)), status: 'ready' },
+      ...(remoteLeaderboard ? [{ id: 'global', icon: 'globe', ...dailyBoard }] : [])
+    ];
+
+    return (
+      <motion.div
+        initial={{ opacity: 0, x: 100 }}
+        animate={{ opacity: 1, x: 0 }}
+        exit={{ opacity: 0, x: -100 }}
+        className="min-h-screen bg-gradient-to-b from-fuchsia-600 to-pink-500 p-4 md:p-8"
+      >
+        <div className="max-w-3xl mx-auto">
+          {/* Header */}
+          <div className="flex items-center justify-between mb-8">
+            <button
+              onClick={() => {
+                setDailyRun(null);
+                setCurrentView('menu');
+              }}
+              className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+            >
+              <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+            </button>
+            <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg flex items-center gap-3">
+              <SafeIcon name="calendar-days" size={40} className="text-fuchsia-200" />
+              {t('daily.title')}
+            </h1>
+            <div className="w-12" />
+          </div>
+
+          <div className="bg-white/95 rounded-3xl shadow-2xl p-6 mb-6">
+            {/* Noon UTC, so the date reads the same in every time zone */}
+            <p className="text-2xl font-black text-gray-800">{formatDate(`${dayKey}T12:00:00Z`)}</p>
+            <p className="text-gray-500 mb-6">{t('daily.note')}</p>
+
+            <div className="grid grid-cols-3 gap-4 mb-6 text-center">
+              <div>
+                <p className="text-xs md:text-sm font-bold text-gray-400 uppercase">{t('daily.attempts')}</p>
+                <div className="flex justify-center gap-1 mt-2">
+                  {Array.from({ length: DAILY_ATTEMPTS }, (_, i) => (
+                    <span
+                      key={i}
+                      className={`w-4 h-4 rounded-full ${i < attemptsLeft ? 'bg-fuchsia-500' : 'bg-gray-200'}`}
+                    />
+                  ))}
+                </div>
+              </div>
+              <div>
+                <p className="text-xs md:text-sm font-bold text-gray-400 uppercase">{t('daily.best')}</p>
+                <p className="text-2xl font-black text-blue-600">{formatNumber(day.best)}</p>
+              </div>
+              <div>
+                <p className="text-xs md:text-sm font-bold text-gray-400 uppercase">{t('daily.streak')}</p>
+                <p className="text-lg font-black text-orange-500 flex items-center justify-center gap-1">
+                  <SafeIcon name="flame" size={18} />
+                  {t('stats.streakValue', { best: streak.best, current: streak.current })}
+                </p>
+              </div>
+            </div>
+
+            {attemptsLeft > 0 ? (
+              <button
+                onClick={startDaily}
+                className="w-full bg-gradient-to-r from-fuchsia-500 to-pink-600 hover:from-fuchsia-400 hover:to-pink-500 text-white px-6 py-3 md:py-4 rounded-xl font-bold transition-all transform hover:scale-105 flex flex-col items-center justify-center text-lg"
+              >
+                <span className="flex items-center gap-2">
+                  <SafeIcon name="play" size={20} />
+                  {t('daily.play')}
+                </span>
+                <span className="text-sm font-semibold text-white/80">
+                  {t('daily.attemptsLeft', { count: attemptsLeft })}
+                </span>
+              </button>
+            ) : (
+              <p className="text-center font-bold text-gray-600 bg-gray-100 rounded-xl px-6 py-4 flex items-center justify-center gap-2">
+                <SafeIcon name="calendar-clock" size={20} className="text-fuchsia-500" />
+                {t('daily.comeBack')}
+              </p>
+            )}
+          </div>
+
+          {boards.map(board => (
+            <div key={board.id} className="bg-white/95 rounded-3xl shadow-2xl overflow-hidden mb-6">
+              <div className="px-4 md:px-6 py-3 font-black text-gray-700 flex items-center gap-2 border-b border-gray-100">
+                <SafeIcon name={board.icon} size={20} className="text-fuchsia-500" />
+                {t(`daily.${board.id}`)}
+              </div>
+              {board.status === 'error' ? (
+                <p className="p-6 text-center text-gray-500 font-semibold">{t('leaderboard.serverDown')}</p>
+              ) : board.status !== 'ready' ? (
+                <div className="p-6">
+                  <SafeIcon name="loader" size={32} className="mx-auto animate-spin text-gray-400" />
+                </div>
+              ) : board.entries.length === 0 ? (
+                <p className="p-6 text-center text-gray-500 font-semibold">{t('daily.empty')}</p>
+              ) : (
+                board.entries.map((entry, index) => (
+                  <div
+                    key={entry.id}
+                    className="px-4 md:px-6 py-3 flex items-center gap-4 border-b border-gray-100 last:border-0"
+                  >
+                    <span className="w-10 text-lg font-bold text-gray-400">#{index + 1}</span>
+                    <span className="flex-1 font-bold text-gray-800">{getEntryPlayerName(profileStore, entry, defaultPlayerName)}</span>
+                    <span className="text-xl font-black text-blue-600">{formatNumber(entry.score)}</span>
+                  </div>
+                ))
+              )}
+            </div>
+          ))}
+        </div>
+      </motion.div>
+    );
+  };
+
+  // Wardrobe View
+  const WardrobeView = () => {
+    const slot = LOOK_SLOTS.find(({ id }) => id === wardrobeSlot);
+    const wardrobe = getWardrobe(activeProfile);
+    const progress = getUnlockProgress(activeProfile);
+    const coins = getCoins(activeProfile);
+
+    return (
+      <motion.div
+        initial={{ opacity: 0, x: 100 }}
+        animate={{ opacity: 1, x: 0 }}
+        exit={{ opacity: 0, x: -100 }}
+        className="min-h-screen bg-gradient-to-b from-violet-500 to-purple-600 p-4 md:p-8"
+      >
+        <div className="max-w-3xl mx-auto">
+          {/* Header */}
+          <div className="flex items-center justify-between mb-8">
+            <button
+              onClick={() => setCurrentView('menu')}
+              className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+            >
+              <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+            </button>
+            <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg flex items-center gap-3">
+              <SafeIcon name="shirt" size={40} className="text-violet-200" />
+              {t('wardrobe.title')}
+            </h1>
+            {activeProfile ? (
+              <span className="bg-white/90 px-4 py-2 rounded-full shadow-lg flex items-center gap-1 font-black text-yellow-600" title={t('menu.coins')}>
+                <SafeIcon name="coins" size={18} />
+                {formatNumber(coins)}
+              </span>
+            ) : (
+              <div className="w-12" />
+            )}
+          </div>
+
+          {!activeProfile ? (
+            <div className="bg-white/95 rounded-3xl shadow-2xl p-12 text-center text-gray-500">
+              <SafeIcon name="user" size={48} className="mx-auto mb-4 opacity-50" />
+              <p className="text-lg md:text-xl font-semibold mb-6">{t('wardrobe.noProfile')}</p>
+              <button
+                onClick={() => setCurrentView('profiles')}
+                className="bg-gradient-to-r from-violet-500 to-purple-600 text-white px-6 py-3 rounded-xl font-bold transition-all hover:scale-105"
+              >
+                {t('menu.choosePlayer')}
+              </button>
+            </div>
+          ) : (
+            <div className="bg-white/95 rounded-3xl shadow-2xl p-6 md:p-8">
+              <div className="flex flex-wrap gap-2 mb-6">
+                {LOOK_SLOTS.map(({ id }) => (
+                  <button
+                    key={id}
+                    onClick={() => setWardrobeSlot(id)}
+                    className={`px-4 py-2 rounded-full font-bold text-sm transition-colors ${
+                      wardrobeSlot === id ? 'bg-violet-500 text-white shadow' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    {t(`wardrobe.slots.${id}`)}
+                  </button>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                {Object.values(slot.items).map(item => {
+                  const equipped = wardrobe.equipped[slot.id] === item.id;
+                  const unlocked = isItemUnlocked(slot.id, item, progress);
+                  // The preview shows the item together with the rest of the current look
+                  const look = resolveLook({ ...wardrobe.equipped, [slot.id]: item.id });
+
+                  return (
+                    <div
+                      key={item.id}
+                      className={`rounded-2xl border-2 p-3 flex flex-col gap-2 ${
+                        equipped ? 'border-violet-500 bg-violet-50' : 'border-gray-100'
+                      }`}
+                    >
+                      <canvas
+                        ref={canvas => canvas && drawLookPreview(canvas.getContext('2d'), look, LOOK_PREVIEW_WIDTH, LOOK_PREVIEW_HEIGHT)}
+                        width={LOOK_PREVIEW_WIDTH}
+                        height={LOOK_PREVIEW_HEIGHT}
+                        className={`w-full rounded-xl ${unlocked ? '' : 'opacity-60 grayscale'}`}
+                      />
+                      <span className="font-bold text-gray-800">{lookItemName(slot.id, item)}</span>
+                      {equipped ? (
+                        <span className="flex items-center justify-center gap-1 py-2 text-sm font-bold text-violet-600">
+                          <SafeIcon name="check" size={16} />
+                          {t('wardrobe.equipped')}
+                        </span>
+                      ) : unlocked ? (
+                        <button
+                          onClick={() => updateProfiles(equipItem(profileStore, activeProfile.id, slot.id, item.id))}
+                          className="bg-violet-500 hover:bg-violet-600 text-white py-2 rounded-xl text-sm font-bold transition-colors"
+                        >
+                          {t('wardrobe.equip')}
+                        </button>
+                      ) : item.unlock.type === 'coins' ? (
+                        <button
+                          onClick={() => updateProfiles(buyItem(profileStore, activeProfile.id, slot.id, item))}
+                          disabled={coins < item.unlock.price}
+                          title={coins < item.unlock.price ? t('wardrobe.notEnoughCoins') : undefined}
+                          className="bg-yellow-400 hover:bg-yellow-500 disabled:bg-gray-200 disabled:text-gray-400 text-yellow-900 py-2 rounded-xl text-sm font-bold transition-colors flex items-center justify-center gap-1"
+                        >
+                          <SafeIcon name="coins" size={16} />
+                          {t('wardrobe.buy', { price: item.unlock.price })}
+                        </button>
+                      ) : (
+                        <span className="flex items-center justify-center gap-1 py-2 text-sm font-bold text-gray-400">
+                          <SafeIcon name="lock" size={16} />
+                          {t('wardrobe.unlockScore', { score: item.unlock.score })}
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <p className="text-sm text-gray-500 mt-6">{t('wardrobe.note')}</p>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    );
+  };
+
+  // Settings View
+  const SettingsView = () => (
+    <motion.div
+      initial={{ opacity: 0, x: 100 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -100 }}
+      className="min-h-screen bg-gradient-to-b from-pink-500 to-orange-400 p-4 md:p-8"
+    >
+      <div className="max-w-3xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <button
+            onClick={() => setCurrentView('menu')}
+            className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+          >
+            <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+          </button>
+          <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg flex items-center gap-3">
+            <SafeIcon name="settings" size={40} className="text-pink-100" />
+            {t('settings.title')}
+          </h1>
+          <div className="w-12" />
+        </div>
+
+        {/* Audio */}
+        <div className="bg-white/95 rounded-3xl shadow-2xl p-6 md:p-8">
+          <h2 className="text-xl md:text-2xl font-black text-gray-800 mb-4 flex items-center gap-2">
+            <SafeIcon name="volume-2" size={24} className="text-pink-500" />
+            {t('settings.sound')}
+          </h2>
+          <div className="space-y-4">
+            {AUDIO_CHANNELS.map(channel => {
+              const muted = settings.audio[channel.muted];
+              return (
+                <div key={channel.id} className="flex items-center gap-4">
+                  <button
+                    onClick={() => updateAudioSettings({ [channel.muted]: !muted })}
+                    className={`p-2 rounded-full transition-colors ${
+                      muted ? 'bg-gray-100 text-gray-400' : 'bg-pink-100 text-pink-600'
+                    }`}
+                    title={muted ? t('settings.unmute') : t('settings.mute')}
+                  >
+                    <SafeIcon name={muted ? 'volume-x' : channel.icon} size={22} />
+                  </button>
+                  <span className="w-40 font-bold text-gray-700">{t(`settings.${channel.id}`)}</span>
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    disabled={muted}
+                    defaultValue={settings.audio[channel.volume]}
+                    onChange={(e) => {
+                      updateAudioSettings({ [channel.volume]: Number(e.target.value) }, { live: true });
+                    }}
+                    onPointerUp={() => {
+                      setSettings(getSettings());
+                      if (channel.preview) {
+                        audio.unlock();
+                        audio.play(channel.preview);
+                      }
+                    }}
+                    onKeyUp={() => setSettings(getSettings())}
+                    className="flex-1 accent-pink-500 disabled:opacity-40"
+                  />
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Controls: keyboard and gamepad bindings */}
+        <div className="bg-white/95 rounded-3xl shadow-2xl p-6 md:p-8 mt-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl md:text-2xl font-black text-gray-800 flex items-center gap-2">
+              <SafeIcon name="keyboard" size={24} className="text-pink-500" />
+              {t('settings.controls')}
+            </h2>
+            <button
+              onClick={() => updateSettings({ keys: DEFAULT_KEY_BINDINGS, gamepad: DEFAULT_GAMEPAD_BINDINGS })}
+              className="text-sm font-bold text-gray-500 hover:text-pink-600 flex items-center gap-1"
+            >
+              <SafeIcon name="rotate-ccw" size={16} />
+              {t('settings.defaults')}
+            </button>
+          </div>
+          {INPUT_DEVICES.map(device => (
+            <div key={device.id} className="mt-4 first:mt-0">
+              <h3 className="font-black text-gray-700 mb-3 flex items-center gap-2">
+                <SafeIcon name={device.icon} size={20} className="text-pink-500" />
+                {t(`settings.${device.id}`)}
+                {device.id === 'gamepad' && (
+                  <span className="text-sm font-semibold text-gray-400 truncate">
+                    {gamepads.length > 0 ? gamepads[0].id : t('settings.gamepadNone')}
+                  </span>
+                )}
+              </h3>
+              <div className="space-y-3">
+                {KEY_ACTIONS.map(action => {
+                  const inputs = settings[device.id][action.id];
+                  const capturing = rebinding?.device === device.id && rebinding.action === action.id;
+                  return (
+                    <div key={action.id} className="flex items-center gap-4">
+                      <SafeIcon name={action.icon} size={20} className="text-gray-400" />
+                      <span className="w-40 font-bold text-gray-700">{t(`settings.actions.${action.id}`)}</span>
+                      <div className="flex-1 flex flex-wrap items-center gap-2">
+                        {inputs.length === 0 && (
+                          <span className="text-sm text-red-500 font-bold">{t('settings.unbound')}</span>
+                        )}
+                        {inputs.map(input => (
+                          <span key={input} className="bg-gray-100 pl-3 pr-1 py-1 rounded-lg font-mono text-sm flex items-center gap-1">
+                            {device.id === 'keys' ? formatKey(input, t) : formatButton(input)}
+                            <button
+                              onClick={() => updateSettings({
+                                [device.id]: { ...settings[device.id], [action.id]: inputs.filter(other => other !== input) }
+                              })}
+                              className="text-gray-400 hover:text-red-500 p-0.5 rounded"
+                              title={t('settings.removeKey')}
+                            >
+                              <SafeIcon name="x" size={14} />
+                            </button>
+                          </span>
+                        ))}
+                        <button
+                          onClick={() => setRebinding(capturing ? null : { device: device.id, action: action.id })}
+                          className={`px-3 py-1 rounded-lg text-sm font-bold transition-colors ${
+                            capturing ? 'bg-pink-500 text-white animate-pulse' : 'bg-pink-100 text-pink-600 hover:bg-pink-200'
+                          }`}
+                        >
+                          {capturing ? t(`settings.capture.${device.id}`) : t(`settings.add.${device.id}`)}
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+          <p className="text-sm text-gray-500 mt-4">
+            {t('settings.rebindNote')}
+          </p>
+        </div>
+
+        {/* Display */}
+        <div className="bg-white/95 rounded-3xl shadow-2xl p-6 md:p-8 mt-6 space-y-5">
+          <h2 className="text-xl md:text-2xl font-black text-gray-800 flex items-center gap-2">
+            <SafeIcon name="monitor" size={24} className="text-pink-500" />
+            {t('settings.display')}
+          </h2>
+          <div>
+            <p className="font-bold text-gray-700 mb-2">{t('settings.reducedMotion')}</p>
+            <OptionGroup
+              options={REDUCED_MOTION_OPTIONS.map(id => ({ id, label: t(`settings.motion.${id}`) }))}
+              value={settings.reducedMotion}
+              onChange={value => updateSettings({ reducedMotion: value })}
+            />
+          </div>
+          <label className="flex items-center gap-3 font-bold text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.showFps}
+              onChange={(e) => updateSettings({ showFps: e.target.checked })}
+              className="w-5 h-5 accent-pink-500"
+            />
+            {t('settings.showFps')}
+          </label>
+        </div>
+
+        {/* Language and difficulty */}
+        <div className="bg-white/95 rounded-3xl shadow-2xl p-6 md:p-8 mt-6 space-y-5">
+          <div>
+            <h2 className="text-xl md:text-2xl font-black text-gray-800 mb-3 flex items-center gap-2">
+              <SafeIcon name="globe" size={24} className="text-pink-500" />
+              {t('settings.language')}
+            </h2>
+            <OptionGroup
+              options={[
+                { id: AUTO_LOCALE, label: t('settings.languageAuto') },
+                ...LOCALE_ORDER.map(id => ({ id, label: LOCALES[id].name }))
+              ]}
+              value={settings.language}
+              onChange={language => updateSettings({ language })}
+            />
+          </div>
+          <div>
+            <h2 className="text-xl md:text-2xl font-black text-gray-800 mb-3 flex items-center gap-2">
+              <SafeIcon name="gauge" size={24} className="text-pink-500" />
+              {t('settings.difficulty')}
+            </h2>
+            <OptionGroup
+              options={DIFFICULTY_PRESETS.map(id => ({ id, label: curveLabel(id) }))}
+              value={settings.difficulty}
+              onChange={difficulty => updateSettings({ difficulty })}
+            />
+            <p className="text-sm text-gray-500 mt-2">
+              {t('settings.difficultyNote')}
+            </p>
+          </div>
+          <div>
+            <label className="flex items-center gap-3 font-bold text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={settings.assist}
+                onChange={(e) => updateSettings({ assist: e.target.checked })}
+                className="w-5 h-5 accent-pink-500"
+              />
+              <SafeIcon name="life-buoy" size={20} className="text-pink-500" />
+              {t('settings.assist')}
+            </label>
+            <p className="text-sm text-gray-500 mt-2">
+              {t('settings.assistNote')}
+            </p>
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+
+  // Versus View - the format lobby, then both players on one canvas
+  const VersusView = () => {
+    const playerLabel = (player) => t('versus.player', { number: VERSUS_PLAYERS[player].id });
+    const playerColor = (player) => BIRD_SKINS[VERSUS_PLAYERS[player].skin].body[1];
+    const activeRun = versusRef.current;
+    const crashed = (player) => activeRun?.birds.some(bird =>
+      bird.player === player && bird.game.getState().status === 'gameover'
+    );
+    const winner = versus.phase === 'results' ? getWinner(versus.results) : null;
+
+    if (versus.phase === 'lobby') {
+      return (
+        <motion.div
+          initial={{ opacity: 0, x: 100 }}
+          animate={{ opacity: 1, x: 0 }}
+          exit={{ opacity: 0, x: -100 }}
+          className="min-h-screen bg-gradient-to-b from-red-500 to-rose-600 p-4 md:p-8"
+        >
+          <div className="max-w-3xl mx-auto">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-8">
+              <button
+                onClick={leaveVersus}
+                className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+              >
+                <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+              </button>
+              <h1 className="text-3xl md:text-5xl font-black text-white drop-shadow-lg flex items-center gap-3">
+                <SafeIcon name="users" size={40} className="text-rose-200" />
+                {t('versus.title')}
+              </h1>
+              <div className="w-12" />
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-4 md:gap-6">
+              {VERSUS_FORMATS.map((format, index) => (
+                <motion.button
+                  key={format}
+                  initial={{ y: 20, opacity: 0 }}
+                  animate={{ y: 0, opacity: 1 }}
+                  transition={{ delay: index * 0.1 }}
+                  onClick={() => prepareVersus(format, generateSeed())}
+                  className="bg-white rounded-2xl p-6 shadow-xl text-left transition-all transform hover:scale-105 active:scale-95 flex flex-col gap-3"
+                >
+                  <div className="flex items-center gap-4">
+                    <div className="w-14 h-14 bg-rose-500 rounded-full flex items-center justify-center flex-shrink-0">
+                      <SafeIcon name={VERSUS_FORMAT_ICONS[format]} size={28} className="text-white" />
+                    </div>
+                    <h3 className="flex-1 text-xl md:text-2xl font-black text-gray-800">{t(`versus.formats.${format}.name`)}</h3>
+                  </div>
+                  <p className="text-gray-600 leading-relaxed">{t(`versus.formats.${format}.description`)}</p>
+                </motion.button>
+              ))}
+            </div>
+
+            {/* Controls */}
+            <div className="mt-6 bg-white/95 rounded-2xl shadow-lg p-4 md:p-6 space-y-2">
+              {VERSUS_PLAYERS.map((player, index) => (
+                <p key={player.id} className="flex items-center gap-3 font-bold text-gray-700">
+                  <span className="w-4 h-4 rounded-full flex-shrink-0" style={{ backgroundColor: playerColor(index) }} />
+                  {playerLabel(index)}
+                  <span className="text-gray-500 font-semibold">
+                    {t('versus.controls', { keys: formatKeys(player.keys, t), side: t(`versus.sides.${player.side}`) })}
+                  </span>
+                </p>
+              ))}
+              <p className="text-sm text-gray-500 pt-2">{t('versus.rulesNote')}</p>
+            </div>
+          </div>
+        </motion.div>
+      );
+    }
+
+    return (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fullscreen-container bg-gradient-to-b from-sky-400 to-sky-300"
+      >
+        <div className="game-wrapper">
+          {/* Header */}
+          <div className="absolute top-0 left-0 right-0 z-20 flex items-center justify-between p-4 md:p-6 bg-gradient-to-b from-black/30 to-transparent">
+            <button
+              onClick={leaveVersus}
+              className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+            >
+              <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+            </button>
+
+            <div className="flex gap-2 md:gap-4">
+              {VERSUS_PLAYERS.map((player, index) => {
+                const waiting = versus.format === 'turns' && index !== versus.turn;
+                return (
+                  <div
+                    key={player.id}
+                    className={`bg-white/90 px-4 md:px-6 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2 ${
+                      waiting ? 'opacity-60' : ''
+                    }`}
+                  >
+                    <span className="w-4 h-4 rounded-full" style={{ backgroundColor: playerColor(index) }} />
+                    <span className="hidden md:inline font-bold text-gray-600">{playerLabel(index)}</span>
+                    <span className="font-black text-xl md:text-2xl text-gray-800">
+                      {versus.format === 'turns' && index < versus.turn
+                        ? versus.results[index].score
+                        : versusScores[index] ?? 0}
+                    </span>
+                    {!waiting && crashed(index) && <SafeIcon name="x-circle" size={20} className="text-red-500" />}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Game Canvas Container */}
+          <div className="canvas-container relative rounded-2xl overflow-hidden shadow-2xl border-4 border-white">
+            <canvas
+              ref={versusCanvasRef}
+              onPointerDown={(e) => {
+                if (e.pointerType === 'mouse' && e.button !== 0) return;
+                const rect = e.currentTarget.getBoundingClientRect();
+                const side = e.clientX - rect.left < rect.width / 2 ? 'left' : 'right';
+                pressVersus(VERSUS_PLAYERS.findIndex(player => player.side === side));
+              }}
+              className="game-canvas cursor-pointer block touch-manipulation w-full h-full"
+            />
+
+            {/* Ready to start overlay */}
+            {versus.phase === 'ready' && (
+              <div className="absolute inset-0 flex items-center justify-center pointer-events-none z-10">
+                <motion.div
+                  animate={{ y: [0, -10, 0] }}
+                  transition={{ duration: 1.5, repeat: Infinity }}
+                  className="text-center bg-black/30 px-6 py-4 rounded-2xl backdrop-blur-sm"
+                >
+                  <p className="text-white text-xl md:text-3xl font-black drop-shadow-lg mb-2">
+                    {versus.format === 'split'
+                      ? t('versus.readySplit')
+                      : t('versus.readyTurn', { player: playerLabel(versus.turn) })}
+                  </p>
+                  <p className="text-white/80 text-base md:text-lg drop-shadow-md">
+                    {versus.format === 'split'
+                      ? VERSUS_PLAYERS.map((player, index) =>
+                        `${playerLabel(index)}: ${formatKeys(player.keys, t)}`
+                      ).join(' • ')
+                      : t('versus.anyInput')}
+                  </p>
+                  {versus.format === 'turns' && versus.turn > 0 && (
+                    <p className="text-white/80 text-sm md:text-base drop-shadow-md mt-2 flex items-center justify-center gap-1">
+                      <SafeIcon name="ghost" size={16} />
+                      {t('versus.ghostNote', { player: playerLabel(versus.turn - 1) })}
+                    </p>
+                  )}
+                </motion.div>
+              </div>
+            )}
+
+            {/* Between turns */}
+            {versus.phase === 'turnOver' && (
+              <motion.div
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="absolute inset-0 bg-black/70 flex items-center justify-center z-10"
+              >
+                <div className="bg-white rounded-2xl p-6 md:p-10 text-center shadow-2xl max-w-sm w-full mx-4">
+                  <p className="text-gray-500 font-bold uppercase mb-2">{playerLabel(versus.turn)}</p>
+                  <p className="text-4xl font-black text-blue-600 mb-6">
+                    {t('points', { count: versus.results[versus.turn].score })}
+                  </p>
+                  <button
+                    onClick={() => prepareVersus(versus.format, versus.seed, versus.turn + 1, versus.results)}
+                    className="w-full bg-gradient-to-r from-red-500 to-rose-600 hover:from-red-400 hover:to-rose-500 text-white px-6 py-3 md:py-4 rounded-xl font-bold transition-all transform hover:scale-105 flex items-center justify-center gap-2 text-lg"
+                  >
+                    <SafeIcon name="arrow-right" size={20} />
+                    {t('versus.nextTurn', { player: playerLabel(versus.turn + 1) })}
+                  </button>
+                </div>
+              </motion.div>
+            )}
+
+            {/* Results */}
+            {versus.phase === 'results' && (
+              <motion.div
+                initial={{ opacity: 0, scale: 0.8 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="absolute inset-0 bg-black/70 flex items-center justify-center z-10"
+              >
+                <div className="bg-white rounded-2xl p-6 md:p-10 text-center shadow-2xl max-w-sm w-full mx-4">
+                  <div className="w-16 h-16 md:w-20 md:h-20 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                    <SafeIcon name={winner === null ? 'handshake' : 'trophy'} size={32} className="text-yellow-500" />
+                  </div>
+                  <h2 className="text-2xl md:text-3xl font-black text-gray-800 mb-4">
+                    {winner === null
+                      ? t('versus.draw')
+                      : t('versus.wins', { player: playerLabel(versus.results[winner].player) })}
+                  </h2>
+                  <div className="mb-6 space-y-2">
+                    {versus.results.map((result, index) => (
+                      <div
+                        key={result.player}
+                        className={`flex items-center gap-3 rounded-xl px-4 py-2 ${index === winner ? 'bg-yellow-50' : 'bg-gray-50'}`}
+                      >
+                        <span className="w-4 h-4 rounded-full" style={{ backgroundColor: playerColor(result.player) }} />
+                        <span className="flex-1 text-left font-bold text-gray-700">{playerLabel(result.player)}</span>
+                        <span className="text-sm text-gray-500">
+                          {t('versus.seconds', { seconds: Math.round((result.ticks / TICKS_PER_SECOND) * 10) / 10 })}
+                        </span>
+                        <span className="w-12 text-right text-2xl font-black text-blue-600">{formatNumber(result.score)}</span>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex flex-col gap-2">
+                    <button
+                      onClick={() => prepareVersus(versus.format, versus.seed)}
+                      className="w-full bg-gradient-to-r from-red-500 to-rose-600 hover:from-red-400 hover:to-rose-500 text-white px-6 py-3 md:py-4 rounded-xl font-bold transition-all transform hover:scale-105 flex items-center justify-center gap-2 text-lg"
+                    >
+                      <SafeIcon name="repeat" size={20} />
+                      {t('versus.rematch')}
+                    </button>
+                    <button
+                      onClick={() => prepareVersus(versus.format, generateSeed())}
+                      className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-6 py-3 rounded-xl font-bold transition-all flex items-center justify-center gap-2"
+                    >
+                      <SafeIcon name="shuffle" size={20} />
+                      {t('versus.newCourse')}
+                    </button>
+                    <button
+                      onClick={() => {
+                        versusRef.current = null;
+                        setVersus({ phase: 'lobby' });
+                      }}
+                      className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-6 py-3 rounded-xl font-bold transition-all flex items-center justify-center gap-2"
+                    >
+                      <SafeIcon name="users" size={20} />
+                      {t('versus.changeFormat')}
+                    </button>
+                  </div>
+                </div>
+              </motion.div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    );
+  };
+
+  // Replay View
+  const ReplayView = () => (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fullscreen-container bg-gradient-to-b from-purple-600 to-indigo-500"
+    >
+      <div className="game-wrapper">
+        {/* Header */}
+        <div className="absolute top-0 left-0 right-0 z-20 flex items-center justify-between p-4 md:p-6 bg-gradient-to-b from-black/30 to-transparent">
+          <button
+            onClick={closeReplay}
+            className="bg-white/90 hover:bg-white text-gray-700 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+          >
+            <SafeIcon name="chevron-right" size={24} className="rotate-180" />
+          </button>
+
+          <div className="flex gap-4">
+            <div className="bg-purple-500/90 px-4 md:px-6 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2 text-white font-black">
+              <SafeIcon name="film" size={20} />
+              <span className="hidden md:inline">{t('replay.label')}</span>
+              <span className="font-mono text-sm opacity-80">#{activeReplay && formatSeed(activeReplay.seed)}</span>
+            </div>
+            <div className="bg-white/90 px-4 md:px-6 py-2 md:py-3 rounded-full shadow-lg flex items-center gap-2">
+              <SafeIcon name="target" size={20} className="text-blue-500" />
+              <span className="font-black text-xl md:text-2xl text-gray-800">{replayScore}</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Replay Canvas Container */}
+        <div className="canvas-container relative rounded-2xl overflow-hidden shadow-2xl border-4 border-white">
+          <canvas
+            ref={replayCanvasRef}
+            onClick={toggleReplayPause}
+            className="game-canvas cursor-pointer block w-full h-full"
+          />
+
+          {/* End of recording */}
+          {replayFinished && activeReplay && (
+            <div className="absolute inset-x-0 top-1/3 flex justify-center pointer-events-none z-10">
+              <div className="bg-black/60 text-white px-6 py-4 rounded-2xl text-center backdrop-blur-sm">
+                <p className="text-xl md:text-2xl font-black">{t('replay.runEnd')}</p>
+                <p className="text-white/80">
+                  {t(`replay.causes.${REPLAY_CAUSES.includes(activeReplay.cause) ? activeReplay.cause : 'pipe'}`)}
+                  {' • '}
+                  {t('points', { count: activeReplay.score })}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* Progress bar */}
+          <div className="absolute bottom-0 left-0 right-0 h-1.5 bg-black/20 z-10">
+            <div ref={replayProgressRef} className="h-full bg-purple-400" style={{ width: 0 }} />
+          </div>
+        </div>
+
+        {/* Playback controls */}
+        <div className="absolute bottom-6 left-1/2 transform -translate-x-1/2 z-20 flex items-center gap-2 bg-black/40 p-2 rounded-full backdrop-blur-sm">
+          <button
+            onClick={restartReplay}
+            className="text-white hover:bg-white/20 p-2 rounded-full transition-colors"
+            title={t('replay.fromStart')}
+          >
+            <SafeIcon name="rotate-ccw" size={20} />
+          </button>
+          <button
+            onClick={toggleReplayPause}
+            className="bg-white text-purple-600 p-3 rounded-full shadow-lg transition-all hover:scale-110"
+            title={replayPaused ? t('replay.resume') : t('replay.pause')}
+          >
+            <SafeIcon name={replayPaused ? 'play' : 'pause'} size={22} />
+          </button>
+          {REPLAY_SPEEDS.map(speed => (
+            <button
+              key={speed}
+              onClick={() => setReplaySpeed(speed)}
+              className={`px-3 py-1.5 rounded-full text-sm font-bold transition-colors ${
+                replaySpeed === speed ? 'bg-white text-purple-600' : 'text-white hover:bg-white/20'
+              }`}
+            >
+              {speed}×
+            </button>
+          ))}
+        </div>
       </div>
     </motion.div>
   );
 
   // Main render
   return (
-    <div className="no-select overflow-x-hidden">
-      <AnimatePresence mode="wait">
-        {currentView === 'menu' && <MenuView key="menu" />}
-        {currentView === 'game' && <GameView key="game" />}
-        {currentView === 'rules' && <RulesView key="rules" />}
-        {currentView === 'leaderboard' && <LeaderboardView key="leaderboard" />}
-      </AnimatePresence>
-    </div>
+    <MotionConfig reducedMotion={MOTION_CONFIG[settings.reducedMotion]}>
+      <div className="no-select overflow-x-hidden">
+        <AnimatePresence mode="wait">
+          {currentView === 'menu' && <MenuView key="menu" />}
+          {currentView === 'modes' && <ModesView key="modes" />}
+          {currentView === 'game' && <GameView key="game" />}
+          {currentView === 'rules' && <RulesView key="rules" />}
+          {currentView === 'leaderboard' && <LeaderboardView key="leaderboard" />}
+          {currentView === 'replay' && <ReplayView key="replay" />}
+          {currentView === 'profiles' && <ProfilesView key="profiles" />}
+          {currentView === 'settings' && <SettingsView key="settings" />}
+          {currentView === 'wardrobe' && <WardrobeView key="wardrobe" />}
+          {currentView === 'stats' && <StatsView key="stats" />}
+          {currentView === 'achievements' && <AchievementsView key="achievements" />}
+          {currentView === 'daily' && <DailyView key="daily" />}
+          {currentView === 'versus' && <VersusView key="versus" />}
+        </AnimatePresence>
+
+        {/* Achievement toasts, shown over any view */}
+        <div className="fixed top-20 left-1/2 -translate-x-1/2 z-50 flex flex-col items-center gap-2 pointer-events-none">
+          <AnimatePresence>
+            {achievementToasts.map(({ key, achievement }) => (
+              <motion.div
+                key={key}
+                layout
+                initial={{ y: -40, opacity: 0, scale: 0.9 }}
+                animate={{ y: 0, opacity: 1, scale: 1 }}
+                exit={{ y: -20, opacity: 0 }}
+                className="bg-white rounded-2xl shadow-2xl px-4 py-3 flex items-center gap-3 border-2 border-yellow-400"
+              >
+                <div className="w-10 h-10 rounded-full bg-gradient-to-br from-yellow-400 to-orange-500 flex items-center justify-center text-white">
+                  <SafeIcon name={achievement.icon} size={20} />
+                </div>
+                <div className="text-left">
+                  <p className="text-xs font-bold text-yellow-600 uppercase">{t('achievements.unlocked')}</p>
+                  <p className="font-black text-gray-800">{achievementText(achievement, 'name')}</p>
+                </div>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      </div>
+    </MotionConfig>
   );
 }
 
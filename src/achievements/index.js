@@ -0,0 +1,161 @@
+/**
+ * Achievements - milestones described as data and unlocked from game events.
+ * An achievement listens to one event type and either unlocks when `test`
+ * passes, or keeps a counter that `progress` advances until it reaches `goal`.
+ * Unlock dates and counters are stored per player.
+ */
+
+import { storage } from '../storage/index.js';
+import { TICKS_PER_SECOND } from '../game/modes.js';
+
+// Handlers receive `{ event, state, night }`: the engine event, the state after
+// the tick and whether the run is currently at night
+export const ACHIEVEMENTS = [
+  {
+    id: 'firstPipe',
+    icon: 'flag',
+    name: 'Первый шаг',
+    description: 'Пролетите первую трубу',
+    on: 'score',
+    test: ({ event }) => !event.bonus,
+  },
+  {
+    id: 'score10',
+    icon: 'star',
+    name: 'Разогрев',
+    description: 'Наберите 10 очков за забег',
+    on: 'score',
+    test: ({ event }) => event.score >= 10,
+  },
+  {
+    id: 'score50',
+    icon: 'medal',
+    name: 'Полсотни',
+    description: 'Наберите 50 очков за забег',
+    on: 'score',
+    test: ({ event }) => event.score >= 50,
+  },
+  {
+    id: 'score100',
+    icon: 'crown',
+    name: 'Сотня',
+    description: 'Наберите 100 очков за забег',
+    on: 'score',
+    test: ({ event }) => event.score >= 100,
+  },
+  {
+    id: 'streak',
+    icon: 'flame',
+    name: 'В ударе',
+    description: '5 забегов подряд больше чем на 20 очков',
+    on: 'gameover',
+    goal: 5,
+    // A weaker run starts the count again
+    progress: (count, { event }) => (event.score > 20 ? count + 1 : 0),
+  },
+  {
+    id: 'nearMiss',
+    icon: 'scissors',
+    name: 'На волоске',
+    description: 'Пролетите впритык к трубе',
+    on: 'nearMiss',
+    test: () => true,
+  },
+  {
+    id: 'nightOwl',
+    icon: 'moon',
+    name: 'Ночная птица',
+    description: 'Наберите очко ночью',
+    on: 'score',
+    test: ({ night }) => night,
+  },
+  {
+    id: 'shieldBreaker',
+    icon: 'shield',
+    name: 'Спасён щитом',
+    description: 'Переживите удар благодаря щиту',
+    on: 'shieldBroken',
+    test: () => true,
+  },
+  {
+    id: 'marathon',
+    icon: 'timer',
+    name: 'Марафон',
+    description: 'Продержитесь в забеге 2 минуты',
+    on: 'score',
+    test: ({ state }) => state.frame >= 120 * TICKS_PER_SECOND,
+  },
+  {
+    id: 'pipes500',
+    icon: 'layers',
+    name: 'Трубопроводчик',
+    description: 'Пролетите 500 труб за все забеги',
+    on: 'score',
+    goal: 500,
+    // Coin bonuses also raise the score, but only pipes count here
+    progress: (count, { event }) => (event.bonus ? count : count + 1),
+  },
+  {
+    id: 'coins100',
+    icon: 'coins',
+    name: 'Копилка',
+    description: 'Соберите 100 монет',
+    on: 'pickup',
+    goal: 100,
+    progress: (count, { event }) => (event.item === 'coin' ? count + 1 : count),
+  },
+  {
+    id: 'veteran',
+    icon: 'award',
+    name: 'Ветеран',
+    description: 'Сыграйте 100 забегов',
+    on: 'gameover',
+    goal: 100,
+    progress: (count) => count + 1,
+  },
+];
+
+// Players without a profile share one record
+const GUEST_KEY = 'guest';
+
+const emptyRecord = () => ({ unlocked: {}, progress: {} });
+
+export const getAchievementRecord = (playerId) =>
+  structuredClone(storage.get('achievements')[playerId ?? GUEST_KEY] ?? emptyRecord());
+
+export const saveAchievementRecord = (playerId, record) => {
+  storage.update('achievements', store => ({ ...store, [playerId ?? GUEST_KEY]: structuredClone(record) }));
+};
+
+/**
+ * Follows one run for one player. `handle` is fed every engine event;
+ * unlocks are saved at once, counters when `save` is called.
+ */
+export const createAchievementTracker = (playerId, { onUnlock } = {}) => {
+  const record = getAchievementRecord(playerId);
+  const save = () => saveAchievementRecord(playerId, record);
+
+  const unlock = (achievement) => {
+    record.unlocked[achievement.id] = new Date().toISOString();
+    save();
+    onUnlock?.(achievement);
+  };
+
+  return {
+    handle: (event, context) => {
+      ACHIEVEMENTS.forEach(achievement => {
+        if (achievement.on !== event.type || record.unlocked[achievement.id]) return;
+
+        const details = { ...context, event };
+        if (achievement.goal) {
+          const count = achievement.progress(record.progress[achievement.id] ?? 0, details);
+          record.progress[achievement.id] = count;
+          if (count >= achievement.goal) unlock(achievement);
+        } else if (achievement.test(details)) {
+          unlock(achievement);
+        }
+      });
+    },
+    save,
+  };
+};
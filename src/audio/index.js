@@ -0,0 +1,120 @@
+/**
+ * Audio - Web Audio engine for sound effects and the background music loop.
+ * The AudioContext is only created by `unlock()`, which has to run inside a
+ * user gesture (the first jump) to satisfy browser autoplay rules; until then
+ * every call is a silent no-op.
+ */
+
+import { SOUND_EFFECTS, MUSIC, playNote, semitoneToHz } from './synth.js';
+import { DEFAULT_AUDIO_SETTINGS } from '../storage/collections.js';
+
+export { SOUND_EFFECTS, MUSIC } from './synth.js';
+
+// Music is scheduled slightly ahead of time from a timer, so it never stutters
+const LOOKAHEAD_S = 0.15;
+const SCHEDULE_MS = 50;
+// The loop sits under the effects at equal slider positions
+const MUSIC_LEVEL = 0.5;
+
+const MUSIC_VOICES = [
+  { notes: MUSIC.melody, wave: 'square', volume: 0.08 },
+  { notes: MUSIC.bass, wave: 'triangle', volume: 0.16 },
+];
+
+export const createAudioEngine = () => {
+  let ctx = null;
+  let sfxGain = null;
+  let musicGain = null;
+  let volumes = { ...DEFAULT_AUDIO_SETTINGS };
+
+  let musicWanted = false;
+  let musicTimer = null;
+  let nextStepTime = 0;
+  let step = 0;
+
+  const applyVolumes = () => {
+    if (!ctx) return;
+    const now = ctx.currentTime;
+    sfxGain.gain.setTargetAtTime(volumes.sfxMuted ? 0 : volumes.sfxVolume, now, 0.02);
+    musicGain.gain.setTargetAtTime(volumes.musicMuted ? 0 : volumes.musicVolume * MUSIC_LEVEL, now, 0.05);
+  };
+
+  const scheduleMusic = () => {
+    const stepLength = 60 / MUSIC.tempo / 2;
+    while (nextStepTime < ctx.currentTime + LOOKAHEAD_S) {
+      MUSIC_VOICES.forEach(({ notes, wave, volume }) => {
+        const semitones = notes[step % notes.length];
+        if (semitones === null) return;
+        const frequency = semitoneToHz(semitones);
+        playNote(ctx, musicGain, { wave, from: frequency, to: frequency, duration: stepLength * 0.9, volume }, nextStepTime);
+      });
+      nextStepTime += stepLength;
+      step = (step + 1) % MUSIC.melody.length;
+    }
+  };
+
+  const startMusicLoop = () => {
+    if (!ctx || musicTimer || !musicWanted || volumes.musicMuted) return;
+    nextStepTime = ctx.currentTime + 0.05;
+    step = 0;
+    scheduleMusic();
+    musicTimer = setInterval(scheduleMusic, SCHEDULE_MS);
+  };
+
+  const stopMusicLoop = () => {
+    clearInterval(musicTimer);
+    musicTimer = null;
+  };
+
+  return {
+    isUnlocked: () => ctx !== null,
+
+    unlock: () => {
+      if (!ctx) {
+        const AudioContextClass = typeof window !== 'undefined'
+          ? window.AudioContext || window.webkitAudioContext
+          : null;
+        if (!AudioContextClass) return;
+
+        ctx = new AudioContextClass();
+        sfxGain = ctx.createGain();
+        musicGain = ctx.createGain();
+        sfxGain.connect(ctx.destination);
+        musicGain.connect(ctx.destination);
+        applyVolumes();
+      }
+      if (ctx.state === 'suspended') {
+        ctx.resume().catch(() => {});
+      }
+      startMusicLoop();
+    },
+
+    // Accepts any subset of { sfxVolume, musicVolume, sfxMuted, musicMuted }
+    setVolumes: (next) => {
+      volumes = { ...volumes, ...next };
+      applyVolumes();
+      if (volumes.musicMuted) {
+        stopMusicLoop();
+      } else {
+        startMusicLoop();
+      }
+    },
+
+    play: (name) => {
+      if (!ctx || volumes.sfxMuted) return;
+      SOUND_EFFECTS[name]?.forEach(note => playNote(ctx, sfxGain, note, ctx.currentTime));
+    },
+
+    startMusic: () => {
+      musicWanted = true;
+      startMusicLoop();
+    },
+
+    stopMusic: () => {
+      musicWanted = false;
+      stopMusicLoop();
+    },
+  };
+};
+
+export const audio = createAudioEngine();
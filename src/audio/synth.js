@@ -0,0 +1,94 @@
+/**
+ * Procedural sounds - every effect and the music loop are described as notes
+ * and synthesized with oscillators and noise, so no audio files are needed.
+ */
+
+// A note: waveform, start/end frequency (Hz), offset and length (s), peak gain
+export const SOUND_EFFECTS = {
+  flap: [
+    { wave: 'triangle', from: 420, to: 760, at: 0, duration: 0.09, volume: 0.35 },
+  ],
+  score: [
+    { wave: 'square', from: 880, to: 880, at: 0, duration: 0.07, volume: 0.18 },
+    { wave: 'square', from: 1320, to: 1320, at: 0.07, duration: 0.1, volume: 0.18 },
+  ],
+  pickup: [
+    { wave: 'sine', from: 1046, to: 1568, at: 0, duration: 0.12, volume: 0.3 },
+  ],
+  shield: [
+    { wave: 'sawtooth', from: 300, to: 900, at: 0, duration: 0.25, volume: 0.15 },
+  ],
+  hit: [
+    { wave: 'noise', at: 0, duration: 0.18, volume: 0.5 },
+    { wave: 'sine', from: 220, to: 55, at: 0, duration: 0.35, volume: 0.5 },
+  ],
+  achievement: [
+    { wave: 'sine', from: 784, to: 784, at: 0, duration: 0.1, volume: 0.25 },
+    { wave: 'sine', from: 1175, to: 1175, at: 0.1, duration: 0.1, volume: 0.25 },
+    { wave: 'sine', from: 1568, to: 1568, at: 0.2, duration: 0.25, volume: 0.25 },
+  ],
+  record: [
+    { wave: 'square', from: 523, to: 523, at: 0, duration: 0.12, volume: 0.2 },
+    { wave: 'square', from: 659, to: 659, at: 0.12, duration: 0.12, volume: 0.2 },
+    { wave: 'square', from: 784, to: 784, at: 0.24, duration: 0.12, volume: 0.2 },
+    { wave: 'square', from: 1046, to: 1046, at: 0.36, duration: 0.3, volume: 0.22 },
+  ],
+};
+
+// Background loop: one step per eighth note, melody and bass as semitones from A4 (null = rest)
+export const MUSIC = {
+  tempo: 132,
+  melody: [
+    0, null, 3, 5, 7, null, 5, 3, 0, null, -2, 0, 3, null, null, null,
+    7, null, 10, 7, 5, null, 3, 5, 7, null, 5, 3, 0, null, null, null,
+  ],
+  bass: [
+    -24, null, -24, null, -21, null, -21, null, -26, null, -26, null, -19, null, -19, null,
+    -24, null, -24, null, -21, null, -21, null, -19, null, -19, null, -24, null, -24, null,
+  ],
+};
+
+export const semitoneToHz = (semitones) => 440 * 2 ** (semitones / 12);
+
+let noiseBuffer = null;
+
+// One second of white noise, shared by every noise note
+const getNoiseBuffer = (ctx) => {
+  if (!noiseBuffer || noiseBuffer.sampleRate !== ctx.sampleRate) {
+    noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+  }
+  return noiseBuffer;
+};
+
+// Schedules one note on `destination` starting at `time` (AudioContext seconds)
+export const playNote = (ctx, destination, note, time) => {
+  const start = time + (note.at ?? 0);
+  const end = start + note.duration;
+
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(note.volume, start + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, end);
+  gain.connect(destination);
+
+  let source;
+  if (note.wave === 'noise') {
+    source = ctx.createBufferSource();
+    source.buffer = getNoiseBuffer(ctx);
+  } else {
+    source = ctx.createOscillator();
+    source.type = note.wave;
+    source.frequency.setValueAtTime(note.from, start);
+    if (note.to !== note.from) {
+      source.frequency.exponentialRampToValueAtTime(note.to, end);
+    }
+  }
+  source.connect(gain);
+  source.start(start);
+  source.stop(end + 0.02);
+  source.onended = () => gain.disconnect();
+};
@@ -0,0 +1,80 @@
+/**
+ * Neuro-evolution - breeds network weights for the neural bot. Each
+ * generation is scored by `evaluate`; the best genomes survive unchanged and
+ * the rest of the next generation are mutated crossovers of tournament winners.
+ * Seeded, so a training run can be repeated.
+ */
+
+import { createRandom } from '../game/random.js';
+import { NEURAL_WEIGHT_COUNT } from './neural.js';
+
+export const DEFAULT_EVOLUTION = {
+  population: 40,
+  generations: 25,
+  // Genomes copied unchanged into the next generation
+  elite: 4,
+  tournament: 3,
+  // Chance of each weight being nudged, and the size of the nudge
+  mutationRate: 0.2,
+  mutationScale: 0.5,
+  seed: 1,
+};
+
+// Normally distributed value (Box-Muller)
+const gaussian = (random) =>
+  Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const randomGenome = (random) =>
+  Array.from({ length: NEURAL_WEIGHT_COUNT }, () => gaussian(random));
+
+const pickParent = (ranked, size, random) => {
+  let best = null;
+  for (let i = 0; i < size; i++) {
+    const candidate = ranked[Math.floor(random() * ranked.length)];
+    if (!best || candidate.fitness > best.fitness) best = candidate;
+  }
+  return best.genome;
+};
+
+const breed = (a, b, { mutationRate, mutationScale }, random) =>
+  a.map((weight, i) => {
+    const gene = random() < 0.5 ? weight : b[i];
+    return random() < mutationRate ? gene + gaussian(random) * mutationScale : gene;
+  });
+
+/**
+ * Evolves weights for the neural bot.
+ *
+ * @param {(genome: number[]) => number} evaluate - Fitness of one genome, higher is better
+ * @param {object} [options] - Overrides of DEFAULT_EVOLUTION, plus `onGeneration`
+ *   called with `{ generation, best, average }` after each generation
+ * @returns {{ genome: number[], fitness: number }} The best genome found
+ */
+export const evolve = (evaluate, { onGeneration, ...overrides } = {}) => {
+  const options = { ...DEFAULT_EVOLUTION, ...overrides };
+  const random = createRandom(options.seed);
+  let genomes = Array.from({ length: options.population }, () => randomGenome(random));
+  let champion = null;
+
+  for (let generation = 1; generation <= options.generations; generation++) {
+    const ranked = genomes
+      .map(genome => ({ genome, fitness: evaluate(genome) }))
+      .sort((a, b) => b.fitness - a.fitness);
+    if (!champion || ranked[0].fitness > champion.fitness) champion = ranked[0];
+
+    const average = ranked.reduce((sum, { fitness }) => sum + fitness, 0) / ranked.length;
+    onGeneration?.({ generation, best: ranked[0].fitness, average });
+
+    genomes = [
+      ...ranked.slice(0, options.elite).map(({ genome }) => genome),
+      ...Array.from({ length: options.population - options.elite }, () => breed(
+        pickParent(ranked, options.tournament, random),
+        pickParent(ranked, options.tournament, random),
+        options,
+        random
+      )),
+    ];
+  }
+
+  return champion;
+};
@@ -0,0 +1,122 @@
+/**
+ * Autopilot - bots that decide on every tick whether to flap, from what a
+ * player sees: the bird's height and speed and the gap of the next pipe.
+ * Strategies are data; `createBot` turns one into `{ decide(state, config) }`
+ * and `playGame` plays a whole run with a bot, headless.
+ */
+
+import { createGame, getBirdRect } from '../game/engine.js';
+import { getNetworkInputs, runNetwork, TRAINED_WEIGHTS } from './neural.js';
+
+// The pipe the bird has to get through next: the first one not yet behind it
+export const getNextPipe = (state, config) => {
+  const { left } = getBirdRect(state.bird, config);
+  return state.pipes.find(pipe => pipe.x + config.pipeWidth >= left) ?? null;
+};
+
+/**
+ * What a bot sees, in pixels and pixels per tick. With no pipe in sight it
+ * aims for a gap in the middle of the sky.
+ *
+ * @returns {{ y: number, velocity: number, topHeight: number, gap: number, distance: number }}
+ */
+export const observe = (state, config) => {
+  const pipe = getNextPipe(state, config);
+  const gap = pipe?.gap ?? config.pipeGap;
+  return {
+    y: state.bird.y,
+    velocity: state.bird.velocity,
+    topHeight: pipe?.topHeight ?? (config.height - config.groundHeight - gap) / 2,
+    gap,
+    distance: pipe ? pipe.x - config.birdX : config.width,
+  };
+};
+
+// Lowest the bird centre may go: above the bottom pipe's hitbox and the ground
+const getFloor = ({ topHeight, gap }, config, margin) => Math.min(
+  topHeight + gap - (config.birdSize / 2 - config.hitboxInset),
+  config.height - config.groundHeight - config.birdSize / 2
+) - margin;
+
+export const BOT_STRATEGIES = {
+  // Flaps whenever the bird is falling below a line across the gap
+  threshold: {
+    id: 'threshold',
+    name: 'Порог',
+    params: { target: 0.75 },
+    decide: ({ y, velocity, topHeight, gap }, config, { target }) =>
+      velocity >= 0 && y > topHeight + gap * target,
+  },
+
+  // Flaps when falling freely for the next `horizon` ticks would take the
+  // bird within `margin` px of the bottom pipe or the ground
+  lookahead: {
+    id: 'lookahead',
+    name: 'Предвидение',
+    params: { horizon: 2, margin: 4 },
+    decide: (view, config, { horizon, margin }) => {
+      const floor = getFloor(view, config, margin);
+      let { y, velocity } = view;
+      for (let tick = 0; tick < horizon; tick++) {
+        velocity += config.gravity;
+        y += velocity;
+        if (y > floor) return true;
+      }
+      return false;
+    },
+  },
+
+  neural: {
+    id: 'neural',
+    name: 'Нейросеть',
+    params: { weights: TRAINED_WEIGHTS },
+    decide: (view, config, { weights }) => runNetwork(weights, getNetworkInputs(view, config)) > 0,
+  },
+};
+
+export const BOT_ORDER = ['threshold', 'lookahead', 'neural'];
+export const DEFAULT_BOT = 'lookahead';
+
+// The assist only steps in at the last moment, so the player still does the flying
+export const ASSIST_PARAMS = { horizon: 1, margin: 0 };
+
+/**
+ * @param {string} strategyId - Key of BOT_STRATEGIES
+ * @param {object} [params] - Overrides of the strategy's own params
+ */
+export const createBot = (strategyId = DEFAULT_BOT, params = {}) => {
+  const strategy = BOT_STRATEGIES[strategyId] ?? BOT_STRATEGIES[DEFAULT_BOT];
+  const resolved = { ...strategy.params, ...params };
+  return {
+    id: strategy.id,
+    params: resolved,
+    decide: (state, config) => strategy.decide(observe(state, config), config, resolved),
+  };
+};
+
+export const createAssist = () => createBot('lookahead', ASSIST_PARAMS);
+
+/**
+ * Plays one run with a bot, starting it with a flap. Runs still going after
+ * `maxTicks` are stopped with the cause 'limit'.
+ *
+ * @returns {{ score: number, ticks: number, flaps: number, coins: number, cause: string }}
+ */
+export const playGame = (bot, config, { maxTicks = Infinity } = {}) => {
+  const game = createGame(config);
+  let cause = 'limit';
+  let flaps = 0;
+  let jump = true;
+
+  while (game.getState().status !== 'gameover' && game.getState().frame < maxTicks) {
+    const { events } = game.step({ jump });
+    events.forEach(event => {
+      if (event.type === 'flap') flaps++;
+      if (event.type === 'gameover') cause = event.cause;
+    });
+    jump = bot.decide(game.getState(), game.config);
+  }
+
+  const { score, frame, coins } = game.getState();
+  return { score, ticks: frame, flaps, coins, cause };
+};
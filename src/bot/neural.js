@@ -0,0 +1,44 @@
+/**
+ * Neural bot - a tiny feed-forward network (one hidden layer, tanh) that maps
+ * what the bot sees to a flap. Its weights are a flat list of numbers, so the
+ * evolution trainer can breed them without knowing the layout.
+ */
+
+export const NEURAL_INPUTS = 5;
+export const NEURAL_HIDDEN = 6;
+
+// Hidden layer (inputs × hidden) followed by the output neuron (hidden + bias)
+export const NEURAL_WEIGHT_COUNT = NEURAL_INPUTS * NEURAL_HIDDEN + NEURAL_HIDDEN + 1;
+
+/**
+ * Network inputs, scaled to roughly -1..1: height against the middle of the
+ * gap, speed, distance to the pipe, gap size and a constant bias.
+ */
+export const getNetworkInputs = ({ y, velocity, topHeight, gap, distance }, config) => [
+  (y - (topHeight + gap / 2)) / config.height,
+  velocity / Math.abs(config.jumpStrength),
+  distance / config.width,
+  gap / config.height,
+  1,
+];
+
+// Positive output means flap
+export const runNetwork = (weights, inputs) => {
+  let output = weights[NEURAL_INPUTS * NEURAL_HIDDEN + NEURAL_HIDDEN];
+  for (let h = 0; h < NEURAL_HIDDEN; h++) {
+    let sum = 0;
+    for (let i = 0; i < NEURAL_INPUTS; i++) {
+      sum += weights[h * NEURAL_INPUTS + i] * inputs[i];
+    }
+    output += weights[NEURAL_INPUTS * NEURAL_HIDDEN + h] * Math.tanh(sum);
+  }
+  return Math.tanh(output);
+};
+
+// Found by `npm run bot:train` with the default settings
+export const TRAINED_WEIGHTS = [
+  1.619, -0.062, 0.606, -1.139, -1.613, 2.519, 0.235, -1.336, 2.053, -0.705, 0.979,
+  -0.915, 2.054, -0.356, -0.272, -0.725, -0.798, -0.319, -0.922, -0.141, 1.514, 0.039,
+  0.217, 0.911, -0.375, -0.109, -0.204, -0.063, -0.304, 1.271, 1.875, 0.72, -0.026,
+  0.048, 2.8, 0.629, 1.303,
+];
@@ -0,0 +1,93 @@
+/**
+ * Daily challenge - one classic course per calendar day, the same for every
+ * player: the seed comes from the UTC date and the course has a fixed size.
+ * Each player gets a few attempts a day; the best result goes to a leaderboard
+ * of its own (the board id stands in for the mode), and days played in a row
+ * make a streak.
+ */
+
+import { storage } from '../storage/index.js';
+import { hashSeed } from '../game/random.js';
+
+export const DAILY_ATTEMPTS = 3;
+export const DAILY_MODE = 'classic';
+// Every screen plays the same course; the canvas is scaled to fit
+export const DAILY_DIMENSIONS = { width: 400, height: 600 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Players without a profile share one record
+const GUEST_KEY = 'guest';
+
+// 'YYYY-MM-DD' in UTC, so the day changes at the same moment everywhere
+export const getDailyKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+export const getDailySeed = (dayKey) => hashSeed(`daily:${dayKey}`);
+
+const BOARD_PREFIX = 'daily:';
+
+export const getDailyBoardId = (dayKey) => `${BOARD_PREFIX}${dayKey}`;
+
+// Daily results live on their board only, never in a player's personal bests
+export const isDailyBoard = (mode) => mode.startsWith(BOARD_PREFIX);
+
+const toDayNumber = (dayKey) => Math.round(Date.parse(`${dayKey}T00:00:00Z`) / DAY_MS);
+
+/**
+ * Drops local daily boards older than yesterday, the last day a streak can
+ * still be continued from; every day would otherwise add a board for good.
+ */
+export const pruneDailyBoards = (today = getDailyKey()) => {
+  const oldest = toDayNumber(today) - 1;
+  storage.update('leaderboard', entries => entries.filter(entry =>
+    !isDailyBoard(entry.mode) || toDayNumber(entry.mode.slice(BOARD_PREFIX.length)) >= oldest
+  ));
+};
+
+const getRecord = (playerId) => storage.get('daily')[playerId ?? GUEST_KEY] ?? { days: {} };
+
+const updateDay = (playerId, dayKey, update) => {
+  const key = playerId ?? GUEST_KEY;
+  storage.update('daily', store => {
+    const days = store[key]?.days ?? {};
+    const day = days[dayKey] ?? { attempts: 0, best: 0 };
+    return { ...store, [key]: { days: { ...days, [dayKey]: update(day) } } };
+  });
+};
+
+// `{ attempts, best }` of one player on one day
+export const getDailyDay = (playerId, dayKey) =>
+  getRecord(playerId).days[dayKey] ?? { attempts: 0, best: 0 };
+
+export const getAttemptsLeft = (playerId, dayKey) =>
+  Math.max(DAILY_ATTEMPTS - getDailyDay(playerId, dayKey).attempts, 0);
+
+// Called when an attempt starts, so quitting halfway still uses it up
+export const spendAttempt = (playerId, dayKey) => {
+  updateDay(playerId, dayKey, day => ({ ...day, attempts: day.attempts + 1 }));
+};
+
+export const recordDailyScore = (playerId, dayKey, score) => {
+  updateDay(playerId, dayKey, day => ({ ...day, best: Math.max(day.best, score) }));
+};
+
+/**
+ * Days in a row with at least one attempt.
+ * The current streak survives until the end of the day after the last one played.
+ *
+ * @returns {{ current: number, best: number }}
+ */
+export const getDailyStreak = (playerId, today = getDailyKey()) => {
+  const days = Object.entries(getRecord(playerId).days)
+    .filter(([, day]) => day.attempts > 0)
+    .map(([dayKey]) => toDayNumber(dayKey))
+    .sort((a, b) => a - b);
+
+  let best = 0;
+  let current = 0;
+  days.forEach((day, i) => {
+    current = i > 0 && day === days[i - 1] + 1 ? current + 1 : 1;
+    best = Math.max(best, current);
+  });
+  const last = days[days.length - 1];
+  return { current: last >= toDayNumber(today) - 1 ? current : 0, best };
+};
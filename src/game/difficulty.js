@@ -0,0 +1,125 @@
+/**
+ * Difficulty curves - data-driven stages that tighten the game as score grows
+ * Values are interpolated between consecutive stages; past the last stage they
+ * keep drifting by `beyond` per point until they hit the caps.
+ */
+
+export const DIFFICULTY_CURVES = {
+  // Easy preset: roomy gaps that tighten slowly
+  relaxed: {
+    id: 'relaxed',
+    label: 'Лёгкая',
+    stages: [
+      { minScore: 0, name: 'Прогулка', pipeGap: 180, pipeSpeed: 2.6, spawnInterval: 110 },
+      { minScore: 20, name: 'Разминка', pipeGap: 168, pipeSpeed: 2.9, spawnInterval: 102 },
+      { minScore: 50, name: 'Бриз', pipeGap: 156, pipeSpeed: 3.2, spawnInterval: 96 },
+    ],
+    beyond: { pipeGap: -0.1, pipeSpeed: 0.005, spawnInterval: -0.05 },
+    caps: { minPipeGap: 140, maxPipeSpeed: 4, minSpawnInterval: 84 },
+  },
+
+  standard: {
+    id: 'standard',
+    label: 'Обычная',
+    stages: [
+      { minScore: 0, name: 'Разминка', pipeGap: 160, pipeSpeed: 3, spawnInterval: 100 },
+      { minScore: 10, name: 'Бриз', pipeGap: 152, pipeSpeed: 3.3, spawnInterval: 94 },
+      { minScore: 25, name: 'Ветер', pipeGap: 144, pipeSpeed: 3.6, spawnInterval: 88 },
+      { minScore: 45, name: 'Буря', pipeGap: 136, pipeSpeed: 4, spawnInterval: 82 },
+      { minScore: 70, name: 'Ураган', pipeGap: 128, pipeSpeed: 4.4, spawnInterval: 78 },
+    ],
+    beyond: { pipeGap: -0.2, pipeSpeed: 0.01, spawnInterval: -0.1 },
+    caps: { minPipeGap: 116, maxPipeSpeed: 5, minSpawnInterval: 70 },
+  },
+
+  // Time Attack: fast and dense from the start, so there are many pipes per minute
+  sprint: {
+    id: 'sprint',
+    label: 'Спринт',
+    stages: [
+      { minScore: 0, name: 'Старт', pipeGap: 160, pipeSpeed: 4, spawnInterval: 80 },
+      { minScore: 15, name: 'Разгон', pipeGap: 150, pipeSpeed: 4.6, spawnInterval: 72 },
+      { minScore: 35, name: 'Спринт', pipeGap: 140, pipeSpeed: 5.2, spawnInterval: 66 },
+    ],
+    beyond: { pipeGap: -0.2, pipeSpeed: 0.01, spawnInterval: -0.1 },
+    caps: { minPipeGap: 130, maxPipeSpeed: 5.6, minSpawnInterval: 60 },
+  },
+
+  // Hard preset: its own, steeper curve; it opens with gaps and speeds like the
+  // middle of standard's and closes in further than standard's caps allow
+  expert: {
+    id: 'expert',
+    label: 'Сложная',
+    stages: [
+      { minScore: 0, name: 'Буря', pipeGap: 140, pipeSpeed: 3.8, spawnInterval: 84 },
+      { minScore: 25, name: 'Ураган', pipeGap: 128, pipeSpeed: 4.4, spawnInterval: 78 },
+      { minScore: 60, name: 'Шторм', pipeGap: 118, pipeSpeed: 5, spawnInterval: 72 },
+    ],
+    beyond: { pipeGap: -0.1, pipeSpeed: 0.01, spawnInterval: -0.1 },
+    caps: { minPipeGap: 108, maxPipeSpeed: 5.8, minSpawnInterval: 66 },
+  },
+
+  hardcore: {
+    id: 'hardcore',
+    label: 'Хардкор',
+    stages: [
+      { minScore: 0, name: 'Жёстко', pipeGap: 136, pipeSpeed: 4, spawnInterval: 86 },
+      { minScore: 20, name: 'Беспощадно', pipeGap: 122, pipeSpeed: 4.8, spawnInterval: 78 },
+      { minScore: 50, name: 'Ад', pipeGap: 110, pipeSpeed: 5.6, spawnInterval: 72 },
+    ],
+    beyond: { pipeGap: -0.1, pipeSpeed: 0.01, spawnInterval: -0.1 },
+    caps: { minPipeGap: 102, maxPipeSpeed: 6.5, minSpawnInterval: 64 },
+  },
+};
+
+// Curves offered as difficulty presets in the settings, easiest first
+export const DIFFICULTY_PRESETS = ['relaxed', 'standard', 'expert'];
+export const DEFAULT_PRESET = 'standard';
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export const getStageIndex = (score, curve) => {
+  let index = 0;
+  curve.stages.forEach((stage, i) => {
+    if (score >= stage.minScore) index = i;
+  });
+  return index;
+};
+
+/**
+ * Resolves the obstacle parameters for a score.
+ *
+ * @returns {{ stage: number, name: string, pipeGap: number, pipeSpeed: number, spawnInterval: number }}
+ */
+export const getDifficulty = (score, curve) => {
+  const stage = getStageIndex(score, curve);
+  const current = curve.stages[stage];
+  const next = curve.stages[stage + 1];
+
+  let values;
+  if (next) {
+    const t = (score - current.minScore) / (next.minScore - current.minScore);
+    values = {
+      pipeGap: lerp(current.pipeGap, next.pipeGap, t),
+      pipeSpeed: lerp(current.pipeSpeed, next.pipeSpeed, t),
+      spawnInterval: lerp(current.spawnInterval, next.spawnInterval, t),
+    };
+  } else {
+    const extra = score - current.minScore;
+    const beyond = curve.beyond || {};
+    values = {
+      pipeGap: current.pipeGap + (beyond.pipeGap || 0) * extra,
+      pipeSpeed: current.pipeSpeed + (beyond.pipeSpeed || 0) * extra,
+      spawnInterval: current.spawnInterval + (beyond.spawnInterval || 0) * extra,
+    };
+  }
+
+  const caps = curve.caps || {};
+  return {
+    stage,
+    name: current.name,
+    pipeGap: Math.round(Math.max(values.pipeGap, caps.minPipeGap ?? -Infinity)),
+    pipeSpeed: Math.min(values.pipeSpeed, caps.maxPipeSpeed ?? Infinity),
+    spawnInterval: Math.round(Math.max(values.spawnInterval, caps.minSpawnInterval ?? 1)),
+  };
+};
@@ -0,0 +1,392 @@
+/**
+ * Game engine - framework-free Flappy Bird simulation
+ * Holds all physics, pipe spawning, scoring and collision rules so the same
+ * simulation can drive the canvas, run headlessly in Node, or validate runs.
+ */
+
+import { getDifficulty } from './difficulty.js';
+import { spawnObstacle, updateObstacle } from './obstacles.js';
+import {
+  ITEM_TYPES,
+  addEffect,
+  removeEffect,
+  tickEffects,
+  getSpeedFactor,
+  getHitboxScale,
+  isInvulnerable,
+  getItemRect,
+  spawnItem,
+} from './powerups.js';
+
+// Physics values below are per tick; the loop runs 60 ticks per second.
+export const DEFAULT_CONFIG = {
+  width: 400,
+  height: 600,
+  birdX: 100,
+  birdSize: 34,
+  hitboxInset: 4,
+  pipeWidth: 60,
+  pipeGap: 160,
+  minPipeHeight: 50,
+  groundHeight: 20,
+  gravity: 0.5,
+  jumpStrength: -9,
+  pipeSpeed: 3,
+  spawnInterval: 100,
+  // Passing a pipe with less room than this (px) around the hitbox is a near miss
+  nearMissMargin: 6,
+  seed: 0,
+  // Difficulty curve from difficulty.js; null keeps the values above fixed
+  difficulty: null,
+  // Mode rules: ignore collisions, end the run after N ticks
+  invulnerable: false,
+  timeLimit: null,
+  // Weights of obstacle types from obstacles.js; null spawns static pipes only
+  obstacles: null,
+  // Power-up table from powerups.js; null spawns no items
+  powerups: null,
+};
+
+// Axis-aligned rectangle overlap test
+export const intersects = (a, b) =>
+  a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+
+// `scale` shrinks the hitbox, e.g. while the shrink power-up is active
+export const getBirdRect = (bird, config, scale = 1) => {
+  const half = (config.birdSize / 2 - config.hitboxInset) * scale;
+  return {
+    left: config.birdX - half,
+    right: config.birdX + half,
+    top: bird.y - half,
+    bottom: bird.y + half,
+  };
+};
+
+// Obstacle parameters for the current score
+export const resolveDifficulty = (score, config) =>
+  config.difficulty
+    ? getDifficulty(score, config.difficulty)
+    : {
+      stage: 0,
+      name: null,
+      pipeGap: config.pipeGap,
+      pipeSpeed: config.pipeSpeed,
+      spawnInterval: config.spawnInterval,
+    };
+
+// Each pipe keeps the gap it was spawned with
+const getPipeGap = (pipe, config) => pipe.gap ?? config.pipeGap;
+
+// The top pipe reaches above the screen so the bird cannot fly over it
+export const getPipeRects = (pipe, config) => [
+  {
+    left: pipe.x,
+    right: pipe.x + config.pipeWidth,
+    top: -Infinity,
+    bottom: pipe.topHeight,
+  },
+  {
+    left: pipe.x,
+    right: pipe.x + config.pipeWidth,
+    top: pipe.topHeight + getPipeGap(pipe, config),
+    bottom: config.height,
+  },
+];
+
+export const createInitialState = (config) => ({
+  status: 'ready',
+  seed: config.seed >>> 0,
+  rng: config.seed >>> 0,
+  frame: 0,
+  score: 0,
+  stage: 0,
+  // Ticks until the next pipe, and total scrolled distance for the scenery
+  spawnTimer: resolveDifficulty(0, config).spawnInterval,
+  distance: 0,
+  nextPipeId: 0,
+  bird: { y: config.height / 2, velocity: 0, rotation: 0 },
+  pipes: [],
+  // Collectibles: ticks until the next item roll, items on screen, running effects
+  itemTimer: null,
+  nextItemId: 0,
+  items: [],
+  effects: {},
+  coins: 0,
+});
+
+const checkCollision = (bird, pipes, config, scale) => {
+  if (bird.y + config.birdSize / 2 >= config.height - config.groundHeight) {
+    return 'ground';
+  }
+  const birdRect = getBirdRect(bird, config, scale);
+  const hit = pipes.some(pipe =>
+    getPipeRects(pipe, config).some(rect => intersects(birdRect, rect))
+  );
+  return hit ? 'pipe' : null;
+};
+
+/**
+ * Advances the simulation by one tick.
+ * Pure: never mutates `state`, returns the next state plus emitted events.
+ *
+ * @param {object} state - Current game state
+ * @param {{ jump?: boolean }} input - Player input for this tick
+ * @param {object} config - Fully resolved game config
+ * @returns {{ state: object, events: Array<{ type: string }> }}
+ */
+export const stepGame = (state, input = {}, config = DEFAULT_CONFIG) => {
+  const events = [];
+
+  if (state.status === 'gameover') {
+    return { state, events };
+  }
+
+  let status = state.status;
+  let velocity = state.bird.velocity;
+
+  if (input.jump) {
+    if (status === 'ready') {
+      status = 'playing';
+      events.push({ type: 'start' });
+    }
+    velocity = config.jumpStrength;
+    events.push({ type: 'flap' });
+  }
+
+  if (status !== 'playing') {
+    return { state, events };
+  }
+
+  // Timed effects
+  const ticked = tickEffects(state.effects);
+  let effects = ticked.effects;
+  ticked.ended.forEach(effect => events.push({ type: 'effectEnd', effect }));
+  const difficulty = resolveDifficulty(state.score, config);
+  const speed = difficulty.pipeSpeed * getSpeedFactor(effects);
+
+  // Bird physics
+  velocity += config.gravity;
+  let bird = {
+    y: state.bird.y + velocity,
+    velocity,
+    rotation: Math.min(Math.max(velocity * 3, -30), 90),
+  };
+
+  // Pipe spawning
+  const frame = state.frame + 1;
+  let pipes = state.pipes;
+  let rng = state.rng;
+  let nextPipeId = state.nextPipeId;
+  let itemTimer = state.itemTimer;
+  // Timers run slower in slow motion so pipes stay evenly spaced
+  let spawnTimer = state.spawnTimer - getSpeedFactor(effects);
+  if (spawnTimer <= 0) {
+    const spawned = spawnObstacle(config, { id: nextPipeId, frame, rng, gap: difficulty.pipeGap });
+    rng = spawned.rng;
+    nextPipeId += spawned.pipes.length;
+    // Longer obstacles push the next spawn back until they have scrolled in
+    const obstacleTicks = Math.ceil(spawned.length / difficulty.pipeSpeed);
+    spawnTimer = difficulty.spawnInterval + obstacleTicks;
+    // Items appear halfway to the next obstacle
+    if (config.powerups) {
+      itemTimer = obstacleTicks + Math.round(difficulty.spawnInterval / 2);
+    }
+    pipes = [...pipes, ...spawned.pipes];
+    spawned.pipes.forEach(pipe => events.push({ type: 'pipeSpawned', pipe }));
+  }
+
+  // Item spawning
+  let items = state.items;
+  let nextItemId = state.nextItemId;
+  if (itemTimer !== null) {
+    itemTimer -= getSpeedFactor(effects);
+    if (itemTimer <= 0) {
+      const lastPipe = pipes[pipes.length - 1];
+      const centerY = lastPipe ? lastPipe.topHeight + lastPipe.gap / 2 : config.height / 2;
+      const spawned = spawnItem(config, { id: nextItemId, rng, centerY });
+      rng = spawned.rng;
+      itemTimer = null;
+      if (spawned.item) {
+        nextItemId++;
+        items = [...items, spawned.item];
+      }
+    }
+  }
+
+  // Pipe movement and scoring; `clearance` is the least room the bird had in the gap
+  let score = state.score;
+  const distance = state.distance + speed;
+  const birdRect = getBirdRect(bird, config, getHitboxScale(effects));
+  pipes = pipes
+    .map(pipe => {
+      const moved = { ...updateObstacle(pipe, frame), x: pipe.x - speed };
+      if (birdRect.right > moved.x && birdRect.left < moved.x + config.pipeWidth) {
+        const room = Math.min(birdRect.top - moved.topHeight, moved.topHeight + getPipeGap(moved, config) - birdRect.bottom);
+        moved.clearance = Math.min(pipe.clearance ?? Infinity, room);
+      }
+      if (!moved.passed && moved.x + config.pipeWidth < config.birdX) {
+        moved.passed = true;
+        score++;
+        events.push({ type: 'score', score });
+        if (moved.clearance >= 0 && moved.clearance < config.nearMissMargin) {
+          events.push({ type: 'nearMiss', clearance: moved.clearance });
+        }
+      }
+      return moved;
+    })
+    .filter(pipe => pipe.x > -config.pipeWidth);
+
+  // Item movement and pickups
+  let coins = state.coins;
+  items = items
+    .map(item => ({ ...item, x: item.x - speed }))
+    .filter(item => {
+      if (intersects(birdRect, getItemRect(item))) {
+        const type = ITEM_TYPES[item.type];
+        events.push({ type: 'pickup', item: item.type });
+        if (type.coins) {
+          coins += type.coins;
+          score += type.bonus ?? 0;
+          // Marked so pipes passed can be told from points picked up
+          events.push({ type: 'score', score, bonus: true });
+        }
+        if (type.effect) {
+          effects = addEffect(effects, type.effect);
+          events.push({ type: 'effectStart', effect: type.effect });
+        }
+        return false;
+      }
+      return item.x > -ITEM_TYPES[item.type].radius;
+    });
+
+  // Difficulty stage
+  let stage = state.stage;
+  if (score !== state.score) {
+    const next = resolveDifficulty(score, config);
+    if (next.stage !== stage) {
+      stage = next.stage;
+      events.push({ type: 'stage', stage, name: next.name });
+    }
+  }
+
+  let cause = checkCollision(bird, pipes, config, getHitboxScale(effects));
+  if (cause && !config.invulnerable && !isInvulnerable(effects) && effects.shield) {
+    // The shield takes the hit and the bird gets a moment to get clear
+    effects = addEffect(removeEffect(effects, 'shield'), 'recovery');
+    events.push({ type: 'effectEnd', effect: 'shield' });
+    events.push({ type: 'shieldBroken', cause });
+    if (cause === 'ground') {
+      const groundY = config.height - config.groundHeight - config.birdSize / 2;
+      bird = { y: groundY, velocity: config.jumpStrength, rotation: -30 };
+    }
+    cause = null;
+  }
+  if (cause && (config.invulnerable || isInvulnerable(effects))) {
+    // Pipes are passed through; the ground is something to land on
+    if (cause === 'ground') {
+      const groundY = config.height - config.groundHeight - config.birdSize / 2;
+      bird = { y: groundY, velocity: 0, rotation: 0 };
+    }
+    cause = null;
+  }
+  if (cause) {
+    events.push({ type: 'collision', cause, score });
+  } else if (config.timeLimit && frame >= config.timeLimit) {
+    cause = 'time';
+  }
+  if (cause) {
+    status = 'gameover';
+    events.push({ type: 'gameover', cause, score });
+  }
+
+  return {
+    state: {
+      ...state,
+      status,
+      rng,
+      frame,
+      score,
+      stage,
+      spawnTimer,
+      distance,
+      nextPipeId,
+      bird,
+      pipes,
+      itemTimer,
+      nextItemId,
+      items,
+      effects,
+      coins,
+    },
+    events,
+  };
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Blends two consecutive states for rendering between ticks.
+ * Pipes are matched by id; newly spawned ones are drawn where they are.
+ */
+export const interpolateState = (prev, next, alpha) => {
+  if (!prev || prev === next || alpha <= 0) return next;
+
+  const prevPipes = new Map(prev.pipes.map(pipe => [pipe.id, pipe]));
+  const prevItems = new Map(prev.items.map(item => [item.id, item]));
+  return {
+    ...next,
+    frame: lerp(prev.frame, next.frame, alpha),
+    distance: lerp(prev.distance, next.distance, alpha),
+    bird: {
+      ...next.bird,
+      y: lerp(prev.bird.y, next.bird.y, alpha),
+      rotation: lerp(prev.bird.rotation, next.bird.rotation, alpha),
+    },
+    pipes: next.pipes.map(pipe => {
+      const before = prevPipes.get(pipe.id);
+      return before
+        ? {
+          ...pipe,
+          x: lerp(before.x, pipe.x, alpha),
+          topHeight: lerp(before.topHeight, pipe.topHeight, alpha),
+          gap: lerp(before.gap, pipe.gap, alpha),
+        }
+        : pipe;
+    }),
+    items: next.items.map(item => {
+      const before = prevItems.get(item.id);
+      return before ? { ...item, x: lerp(before.x, item.x, alpha) } : item;
+    }),
+  };
+};
+
+/**
+ * Creates a stateful game instance around the pure `stepGame` function.
+ *
+ * @example
+ * const game = createGame({ width: 400, height: 600, seed: 42 });
+ * const { state, events } = game.step({ jump: true });
+ */
+export const createGame = (overrides = {}) => {
+  const config = { ...DEFAULT_CONFIG, ...overrides };
+  let state = createInitialState(config);
+  let previous = state;
+
+  return {
+    config,
+    getState: () => state,
+    // State before the last step, for interpolated rendering
+    getPreviousState: () => previous,
+    step: (input) => {
+      const result = stepGame(state, input, config);
+      previous = state;
+      state = result.state;
+      return result;
+    },
+    reset: () => {
+      state = createInitialState(config);
+      previous = state;
+      return state;
+    },
+  };
+};
@@ -0,0 +1,65 @@
+/**
+ * Fixed-timestep loop - runs the simulation at a constant tick rate driven by
+ * real elapsed time, and renders with an interpolation factor between ticks.
+ */
+
+export const TICK_MS = 1000 / 60;
+
+// Frames longer than this are treated as a stall (backgrounded tab, debugger)
+// rather than time to catch up on, so the bird never teleports.
+export const MAX_FRAME_MS = 250;
+
+/**
+ * @param {object} options
+ * @param {() => void} options.update - Advances the simulation by one tick
+ * @param {(alpha: number) => void} options.render - Draws with 0..1 progress towards the next tick
+ * @param {number} [options.tickMs] - Simulation tick length in milliseconds
+ * @param {number} [options.maxFrameMs] - Longest frame still simulated in full
+ */
+export const createFixedStepLoop = ({
+  update,
+  render,
+  tickMs = TICK_MS,
+  maxFrameMs = MAX_FRAME_MS,
+}) => {
+  let rafId = null;
+  let lastTime = null;
+  let accumulator = 0;
+
+  const frame = (now) => {
+    if (lastTime === null) lastTime = now;
+    let elapsed = now - lastTime;
+    lastTime = now;
+
+    if (elapsed > maxFrameMs) {
+      elapsed = tickMs;
+    }
+
+    accumulator += elapsed;
+    while (accumulator >= tickMs) {
+      update();
+      accumulator -= tickMs;
+    }
+
+    render(accumulator / tickMs);
+    rafId = requestAnimationFrame(frame);
+  };
+
+  return {
+    start: () => {
+      if (rafId !== null) return;
+      lastTime = null;
+      accumulator = 0;
+      rafId = requestAnimationFrame(frame);
+    },
+    stop: () => {
+      if (rafId !== null) cancelAnimationFrame(rafId);
+      rafId = null;
+    },
+    // Forget the elapsed time since the last frame, e.g. after the tab was hidden
+    resync: () => {
+      lastTime = null;
+      accumulator = 0;
+    },
+  };
+};
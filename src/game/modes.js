@@ -0,0 +1,88 @@
+/**
+ * Game modes - each mode is a set of engine overrides plus its player-facing
+ * name, description and rules. Unranked modes never end on their own, so they
+ * have no leaderboard.
+ */
+
+import { DIFFICULTY_CURVES } from './difficulty.js';
+import { POWERUP_TABLES } from './powerups.js';
+
+export const TICKS_PER_SECOND = 60;
+
+export const GAME_MODES = {
+  classic: {
+    id: 'classic',
+    name: 'Классика',
+    description: 'Привычные правила: одно касание трубы — и забег окончен.',
+    rules: [
+      'Пролетайте между трубами, каждая пара — 1 очко.',
+      'Столкновение с трубой или землёй заканчивает игру.',
+      'Сложность растёт вместе со счётом.',
+      'Собирайте монеты и бонусы между трубами.',
+    ],
+    // The difficulty preset from the settings replaces the curve
+    presets: true,
+    engine: { difficulty: 'standard', powerups: 'standard' },
+  },
+  zen: {
+    id: 'zen',
+    name: 'Дзен',
+    description: 'Без смерти: трубы пропускают птицу насквозь. Для тренировки.',
+    rules: [
+      'Трубы не опасны — птица пролетает сквозь них.',
+      'Земля не убивает: птица просто садится на неё.',
+      'Очки всё равно считаются — следите за точностью.',
+      'Выйти можно в любой момент через паузу (P или ESC).',
+    ],
+    ranked: false,
+    engine: { difficulty: null, invulnerable: true },
+  },
+  timeAttack: {
+    id: 'timeAttack',
+    name: 'На время',
+    description: 'Как можно больше труб за 60 секунд.',
+    rules: [
+      'У вас ровно 60 секунд с первого взмаха.',
+      'Трубы идут быстрее и чаще, чем в классике.',
+      'Столкновение заканчивает забег досрочно.',
+    ],
+    engine: { difficulty: 'sprint', timeLimit: 60 * TICKS_PER_SECOND, powerups: 'standard' },
+  },
+  hardcore: {
+    id: 'hardcore',
+    name: 'Хардкор',
+    description: 'Узкие проходы, высокая скорость и трубы, которые двигаются.',
+    rules: [
+      'Проход между трубами заметно уже.',
+      'Скорость выше с самого начала и быстро растёт.',
+      'Трубы качаются вверх-вниз, смыкаются и размыкаются — ловите момент.',
+      'Иногда трубы идут парой, одна сразу за другой.',
+      'Никаких бонусов и монет.',
+    ],
+    engine: {
+      difficulty: 'hardcore',
+      obstacles: { static: 2, oscillating: 3, closing: 2, double: 1 },
+    },
+  },
+};
+
+export const MODE_ORDER = ['classic', 'zen', 'timeAttack', 'hardcore'];
+export const DEFAULT_MODE = 'classic';
+export const RANKED_MODES = MODE_ORDER.filter(id => GAME_MODES[id].ranked !== false);
+
+export const getMode = (modeId) => GAME_MODES[modeId] ?? GAME_MODES[DEFAULT_MODE];
+
+/**
+ * Engine config overrides for a mode, with the difficulty curve and power-up
+ * table resolved. `options.preset` picks the curve in modes that allow presets.
+ */
+export const getModeConfig = (modeId, { preset } = {}) => {
+  const mode = getMode(modeId);
+  const { powerups, ...overrides } = mode.engine;
+  const difficulty = mode.presets && DIFFICULTY_CURVES[preset] ? preset : mode.engine.difficulty;
+  return {
+    ...overrides,
+    difficulty: difficulty ? DIFFICULTY_CURVES[difficulty] : null,
+    powerups: powerups ? POWERUP_TABLES[powerups] : null,
+  };
+};
@@ -0,0 +1,117 @@
+/**
+ * Obstacle types - pipe behaviours described as data. A type names a motion
+ * (how its gap moves over the pipe's lifetime) and how many pipes it spawns in
+ * a row; the engine only calls `spawnObstacle` and `updateObstacle`.
+ */
+
+import { nextRandom, pickWeighted } from './random.js';
+
+const TAU = Math.PI * 2;
+
+// Motions map a pipe's age in ticks to its current gap position and size
+export const MOTIONS = {
+  none: {
+    update: (pipe) => ({ topHeight: pipe.baseTop, gap: pipe.baseGap }),
+  },
+
+  // The gap slides up and down around where it spawned
+  oscillate: {
+    headroom: (params) => params.amplitude,
+    randomPhase: true,
+    update: (pipe, age, params) => ({
+      topHeight: Math.round(pipe.baseTop + params.amplitude * Math.sin((age / params.period) * TAU + pipe.phase)),
+      gap: pipe.baseGap,
+    }),
+  },
+
+  // Both halves close towards the centre of the gap and open again
+  pulse: {
+    randomPhase: true,
+    update: (pipe, age, params) => {
+      const closed = (1 - Math.cos((age / params.period) * TAU + pipe.phase)) / 2;
+      const gap = Math.round(pipe.baseGap - Math.max(pipe.baseGap - params.minGap, 0) * closed);
+      return { topHeight: pipe.baseTop + Math.round((pipe.baseGap - gap) / 2), gap };
+    },
+  },
+};
+
+export const OBSTACLE_TYPES = {
+  static: { id: 'static', motion: 'none' },
+  oscillating: { id: 'oscillating', motion: 'oscillate', params: { amplitude: 40, period: 150 } },
+  closing: { id: 'closing', motion: 'pulse', params: { minGap: 80, period: 180 } },
+  // Two pipes close behind each other; the second gap is shifted by up to `drift`
+  double: { id: 'double', motion: 'none', count: 2, spacing: 200, drift: 40 },
+};
+
+export const getObstacleType = (typeId) => OBSTACLE_TYPES[typeId] ?? OBSTACLE_TYPES.static;
+
+// Weighted pick from `{ typeId: weight }`; without weights only static pipes spawn
+const pickType = (weights, rng) => {
+  if (!weights) return { type: OBSTACLE_TYPES.static, rng };
+
+  const { value, state } = pickWeighted(weights, rng);
+  return { type: getObstacleType(value), rng: state };
+};
+
+/**
+ * Creates the pipes of one obstacle at the right edge of the course.
+ *
+ * @param {object} config - Game config; `config.obstacles` holds the type weights
+ * @param {{ id: number, frame: number, rng: number, gap: number }} spawn
+ * @returns {{ pipes: object[], rng: number, length: number }} `length` is how far
+ *   the obstacle extends past its first pipe, so spawning can leave room for it
+ */
+export const spawnObstacle = (config, { id, frame, rng, gap }) => {
+  const picked = pickType(config.obstacles, rng);
+  const { type } = picked;
+  const motion = MOTIONS[type.motion];
+  let state = picked.rng;
+
+  // Moving gaps need headroom so they never leave the screen
+  const headroom = motion.headroom?.(type.params) ?? 0;
+  const minHeight = config.minPipeHeight + headroom;
+  const maxHeight = config.height - gap - config.minPipeHeight - 100 - headroom;
+  const height = nextRandom(state);
+  state = height.state;
+  const baseTop = Math.floor(height.value * (maxHeight - minHeight) + minHeight);
+
+  let phase = 0;
+  if (motion.randomPhase) {
+    const next = nextRandom(state);
+    phase = next.value * TAU;
+    state = next.state;
+  }
+
+  const count = type.count ?? 1;
+  const spacing = type.spacing ?? 0;
+  const pipes = [];
+  for (let i = 0; i < count; i++) {
+    let top = baseTop;
+    if (i > 0) {
+      const shift = nextRandom(state);
+      state = shift.state;
+      const drifted = baseTop + Math.round((shift.value * 2 - 1) * (type.drift ?? 0));
+      top = Math.min(Math.max(drifted, minHeight), maxHeight);
+    }
+    const pipe = {
+      id: id + i,
+      type: type.id,
+      x: config.width + i * spacing,
+      spawnFrame: frame,
+      baseTop: top,
+      baseGap: gap,
+      phase,
+      passed: false,
+    };
+    pipes.push({ ...pipe, ...motion.update(pipe, 0, type.params) });
+  }
+
+  return { pipes, rng: state, length: spacing * (count - 1) };
+};
+
+// Moves the gap of a pipe for the given frame
+export const updateObstacle = (pipe, frame) => {
+  const type = getObstacleType(pipe.type);
+  const { topHeight, gap } = MOTIONS[type.motion].update(pipe, frame - pipe.spawnFrame, type.params);
+  return topHeight === pipe.topHeight && gap === pipe.gap ? pipe : { ...pipe, topHeight, gap };
+};
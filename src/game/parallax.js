@@ -0,0 +1,172 @@
+/**
+ * Parallax scenery - background layers (stars, clouds, hills, city skyline)
+ * and the day/night cycle. Each layer is painted once into a tile the width
+ * of the screen and then scrolled with two drawImage calls per frame, so the
+ * scenery stays cheap on slow phones. Tiles wrap seamlessly.
+ */
+
+import { createRandom } from './random.js';
+import { TICKS_PER_SECOND } from './modes.js';
+
+const TAU = Math.PI * 2;
+
+// One full day and night, starting at noon
+export const DAY_CYCLE_TICKS = 120 * TICKS_PER_SECOND;
+
+// Shapes that cross the right edge are painted again on the left
+const wrapped = (width, draw) => {
+  draw(0);
+  draw(-width);
+};
+
+// Painters draw a layer into a width × height tile; `align` places the tile
+// against the top of the sky or the ground line
+export const LAYER_TYPES = {
+  stars: {
+    align: 'top',
+    paint: (ctx, layer, width, height, random) => {
+      ctx.fillStyle = layer.color;
+      for (let i = 0; i < (layer.count ?? 40); i++) {
+        const size = random() < 0.2 ? 2 : 1;
+        ctx.fillRect(Math.floor(random() * width), Math.floor(random() * height), size, size);
+      }
+    },
+  },
+
+  clouds: {
+    align: 'top',
+    paint: (ctx, layer, width, height, random) => {
+      ctx.fillStyle = layer.color;
+      const count = layer.count ?? 3;
+      for (let i = 0; i < count; i++) {
+        const x = ((i + random() * 0.6) / count) * width;
+        const y = height * (0.3 + random() * 0.5);
+        const r = 18 + random() * 10;
+        wrapped(width, (shift) => {
+          ctx.beginPath();
+          ctx.arc(x + shift - r, y, r * 0.8, 0, TAU);
+          ctx.arc(x + shift, y - r * 0.4, r, 0, TAU);
+          ctx.arc(x + shift + r, y, r * 0.8, 0, TAU);
+          ctx.fill();
+        });
+      }
+    },
+  },
+
+  // Rolling hills from two sine waves with whole periods across the tile
+  hills: {
+    align: 'bottom',
+    paint: (ctx, layer, width, height, random) => {
+      const phase = random() * TAU;
+      const waves = layer.waves ?? 2;
+      ctx.fillStyle = layer.color;
+      ctx.beginPath();
+      ctx.moveTo(0, height);
+      for (let x = 0; x <= width; x += 8) {
+        const t = (x / width) * TAU;
+        const rise = 0.6 + 0.25 * Math.sin(t * waves + phase) + 0.15 * Math.sin(t * (waves * 2 + 1));
+        ctx.lineTo(x, height * (1 - rise));
+      }
+      ctx.lineTo(width, height);
+      ctx.closePath();
+      ctx.fill();
+    },
+  },
+
+  skyline: {
+    align: 'bottom',
+    paint: (ctx, layer, width, height, random) => {
+      let x = 0;
+      while (x < width) {
+        const buildingWidth = Math.min(Math.round(16 + random() * 28), width - x);
+        const buildingHeight = Math.round(height * (0.35 + random() * 0.65));
+        const top = height - buildingHeight;
+        ctx.fillStyle = layer.color;
+        ctx.fillRect(x, top, buildingWidth, buildingHeight);
+
+        if (layer.windows) {
+          ctx.fillStyle = layer.windows;
+          for (let wy = top + 4; wy < height - 6; wy += 8) {
+            for (let wx = x + 3; wx < x + buildingWidth - 5; wx += 7) {
+              if (random() < 0.35) ctx.fillRect(wx, wy, 3, 4);
+            }
+          }
+        }
+        x += buildingWidth + Math.round(random() * 6);
+      }
+    },
+  },
+};
+
+// Painted tiles per layer, redrawn only when the screen size changes
+const tiles = new WeakMap();
+
+const createTileCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  if (typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const paintLayer = (ctx, layer, width, height) => {
+  LAYER_TYPES[layer.type].paint(ctx, layer, width, height, createRandom(layer.seed ?? 1));
+};
+
+const getTile = (layer, width, height) => {
+  const cached = tiles.get(layer);
+  if (cached && cached.width === width && cached.height === height) return cached.canvas;
+
+  const canvas = createTileCanvas(width, height);
+  if (!canvas) return null;
+  paintLayer(canvas.getContext('2d'), layer, width, height);
+  tiles.set(layer, { width, height, canvas });
+  return canvas;
+};
+
+/**
+ * Draws one layer scrolled by `offset` pixels.
+ * Without a canvas to paint tiles into (e.g. under Node) the layer is painted
+ * straight onto the context every frame.
+ */
+export const drawLayer = (ctx, layer, config, offset) => {
+  const { width, height, groundHeight } = config;
+  const skyHeight = height - groundHeight;
+  const tileHeight = Math.max(Math.round(skyHeight * layer.height), 1);
+  const top = LAYER_TYPES[layer.type].align === 'top' ? 0 : skyHeight - tileHeight;
+  const x = -Math.round(offset % width);
+
+  const tile = getTile(layer, width, tileHeight);
+  if (tile) {
+    ctx.drawImage(tile, x, top);
+    ctx.drawImage(tile, x + width, top);
+    return;
+  }
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, top, width, tileHeight);
+  ctx.clip();
+  ctx.translate(x, top);
+  paintLayer(ctx, layer, width, tileHeight);
+  ctx.translate(width, 0);
+  paintLayer(ctx, layer, width, tileHeight);
+  ctx.restore();
+};
+
+// 0 at noon, 1 at midnight; backgrounds without a cycle stay as they are
+export const getNightAmount = (background, frame) =>
+  (background.cycle ? (1 - Math.cos((frame / DAY_CYCLE_TICKS) * TAU)) / 2 : 0);
+
+// Night backgrounds always count as night; cycling ones once dusk has fallen
+export const isNightTime = (background, frame) =>
+  Boolean(background.dark) || getNightAmount(background, frame) >= 0.5;
+
+const parseHex = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// Blends two #rrggbb colours; `amount` 0 gives `from`, 1 gives `to`
+export const mixColor = (from, to, amount) => {
+  const a = parseHex(from);
+  const b = parseHex(to);
+  return `rgb(${a.map((value, i) => Math.round(value + (b[i] - value) * amount)).join(', ')})`;
+};
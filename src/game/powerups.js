@@ -0,0 +1,103 @@
+/**
+ * Power-ups - collectible items and the timed effects they grant, as data.
+ * Items spawn between pipes according to a power-up table; effects are kept
+ * in the game state as `{ effectId: ticksLeft }`.
+ */
+
+import { nextRandom, pickWeighted } from './random.js';
+
+export const EFFECTS = {
+  shield: { id: 'shield', name: 'Щит', duration: Infinity },
+  slowMo: { id: 'slowMo', name: 'Замедление', duration: 300, speedFactor: 0.6 },
+  shrink: { id: 'shrink', name: 'Уменьшение', duration: 480, hitboxScale: 0.6 },
+  // Brief invulnerability after the shield breaks, so the bird can leave the pipe
+  recovery: { id: 'recovery', name: null, duration: 45, invulnerable: true },
+};
+
+export const ITEM_TYPES = {
+  coin: { id: 'coin', radius: 10, coins: 1, bonus: 1 },
+  shield: { id: 'shield', radius: 14, effect: 'shield' },
+  slowMo: { id: 'slowMo', radius: 14, effect: 'slowMo' },
+  shrink: { id: 'shrink', radius: 14, effect: 'shrink' },
+};
+
+export const POWERUP_TABLES = {
+  standard: {
+    id: 'standard',
+    // Chance that an item appears between two pipes, then the weights per type
+    chance: 0.6,
+    weights: { coin: 12, shield: 1, slowMo: 1, shrink: 1 },
+  },
+};
+
+// How far an item may sit from the centre of the last gap, and from the edges
+const ITEM_SPREAD = 50;
+const ITEM_MARGIN = 60;
+
+const isActive = (effects, id) => (effects[id] ?? 0) > 0;
+
+export const getSpeedFactor = (effects) =>
+  Object.keys(effects).reduce((factor, id) =>
+    (isActive(effects, id) ? factor * (EFFECTS[id]?.speedFactor ?? 1) : factor), 1);
+
+export const getHitboxScale = (effects) =>
+  Object.keys(effects).reduce((scale, id) =>
+    (isActive(effects, id) ? scale * (EFFECTS[id]?.hitboxScale ?? 1) : scale), 1);
+
+export const isInvulnerable = (effects) =>
+  Object.keys(effects).some(id => isActive(effects, id) && EFFECTS[id]?.invulnerable);
+
+// Counts timed effects down; returns the ids of the ones that ran out
+export const tickEffects = (effects) => {
+  const next = {};
+  const ended = [];
+  Object.entries(effects).forEach(([id, ticks]) => {
+    if (ticks - 1 > 0) {
+      next[id] = ticks - 1;
+    } else {
+      ended.push(id);
+    }
+  });
+  return { effects: next, ended };
+};
+
+// Picking up an effect that is already running restarts its timer
+export const addEffect = (effects, id) => ({ ...effects, [id]: EFFECTS[id].duration });
+
+export const removeEffect = (effects, id) => {
+  const { [id]: removed, ...rest } = effects;
+  return rest;
+};
+
+export const getItemRect = (item) => {
+  const { radius } = ITEM_TYPES[item.type];
+  return {
+    left: item.x - radius,
+    right: item.x + radius,
+    top: item.y - radius,
+    bottom: item.y + radius,
+  };
+};
+
+/**
+ * Rolls for an item at the right edge of the course, around height `centerY`.
+ *
+ * @returns {{ item: object | null, rng: number }}
+ */
+export const spawnItem = (config, { id, rng, centerY }) => {
+  const table = config.powerups;
+  const roll = nextRandom(rng);
+  if (roll.value >= table.chance) return { item: null, rng: roll.state };
+
+  const pick = pickWeighted(table.weights, roll.state);
+  const type = pick.value;
+
+  // Items float near the last gap so they can be reached
+  const offset = nextRandom(pick.state);
+  const y = Math.min(
+    Math.max(Math.round(centerY + (offset.value * 2 - 1) * ITEM_SPREAD), ITEM_MARGIN),
+    config.height - config.groundHeight - ITEM_MARGIN
+  );
+  const { radius } = ITEM_TYPES[type];
+  return { item: { id, type, x: config.width + radius, y }, rng: offset.state };
+};
@@ -0,0 +1,68 @@
+/**
+ * Seedable PRNG (mulberry32)
+ * The generator state is a single uint32, so it can live inside the game
+ * state and keep the engine pure and runs reproducible from their seed.
+ */
+
+// Advances the generator: returns a float in [0, 1) and the next state
+export const nextRandom = (rngState) => {
+  const state = (rngState + 0x6D2B79F5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state };
+};
+
+// Weighted pick from `{ key: weight }`: returns the chosen key and the next state
+export const pickWeighted = (weights, rngState) => {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const { value, state } = nextRandom(rngState);
+  let roll = value * total;
+  const entry = entries.find(([, weight]) => {
+    roll -= weight;
+    return roll < 0;
+  }) ?? entries[entries.length - 1];
+  return { value: entry[0], state };
+};
+
+// Stateful convenience wrapper for random elements outside the engine
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    const result = nextRandom(state);
+    state = result.state;
+    return result.value;
+  };
+};
+
+export const generateSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+// FNV-1a hash so any text can be used as a seed
+export const hashSeed = (text) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Seeds are shown as short base-36 codes, e.g. "1Z141Z3"
+export const formatSeed = (seed) => (seed >>> 0).toString(36).toUpperCase();
+
+/**
+ * Parses user input back into a seed.
+ * Accepts codes produced by `formatSeed`; any other text is hashed.
+ * Returns null for empty input.
+ */
+export const parseSeed = (input) => {
+  const text = String(input ?? '').trim();
+  if (!text) return null;
+
+  if (/^[0-9a-z]{1,7}$/i.test(text)) {
+    const value = parseInt(text, 36);
+    if (value <= 0xFFFFFFFF) return value;
+  }
+  return hashSeed(text);
+};
@@ -0,0 +1,305 @@
+/**
+ * Canvas renderer - draws an engine state onto a 2D context
+ * Stateless apart from the cached parallax tiles: everything it needs comes
+ * from the game state, config and the drawing options (look, reduced motion).
+ */
+
+import { ITEM_TYPES, getHitboxScale } from './powerups.js';
+import { DEFAULT_LOOK, resolveLook } from './themes.js';
+import { drawLayer, getNightAmount, mixColor } from './parallax.js';
+
+const DEFAULT_SCENERY = resolveLook(DEFAULT_LOOK);
+
+export const drawBackground = (ctx, state, config, background = DEFAULT_SCENERY.background, { reducedMotion = false } = {}) => {
+  const { width, height } = config;
+  const night = getNightAmount(background, state.frame);
+  const sky = night > 0
+    ? background.sky.map((color, i) => mixColor(color, background.cycle.sky[i], night))
+    : background.sky;
+
+  // Sky gradient
+  const gradient = ctx.createLinearGradient(0, 0, 0, height);
+  gradient.addColorStop(0, sky[0]);
+  gradient.addColorStop(1, sky[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+
+  // Parallax layers; they hold still when reduced motion is on
+  background.layers.forEach(layer => {
+    const alpha = layer.night ? night : 1;
+    if (alpha <= 0) return;
+    const offset = reducedMotion ? 0 : state.distance * layer.speed + state.frame * (layer.drift ?? 0);
+    ctx.globalAlpha = alpha;
+    drawLayer(ctx, layer, config, offset);
+  });
+  ctx.globalAlpha = 1;
+};
+
+// Darkens everything drawn so far as the night sets in; the bird stays bright
+export const drawNightShade = (ctx, state, config, background) => {
+  const night = getNightAmount(background, state.frame);
+  if (night <= 0) return;
+  ctx.globalAlpha = night * 0.35;
+  ctx.fillStyle = background.cycle.shade;
+  ctx.fillRect(0, 0, config.width, config.height);
+  ctx.globalAlpha = 1;
+};
+
+export const drawPipes = (ctx, state, config, style = DEFAULT_SCENERY.pipes) => {
+  const { height, pipeWidth } = config;
+
+  state.pipes.forEach(pipe => {
+    const pipeGap = pipe.gap ?? config.pipeGap;
+
+    // Top pipe
+    const pipeGradient = ctx.createLinearGradient(pipe.x, 0, pipe.x + pipeWidth, 0);
+    pipeGradient.addColorStop(0, style.pipe[0]);
+    pipeGradient.addColorStop(0.5, style.pipe[1]);
+    pipeGradient.addColorStop(1, style.pipe[2]);
+
+    ctx.fillStyle = pipeGradient;
+    ctx.fillRect(pipe.x, 0, pipeWidth, pipe.topHeight);
+
+    // Pipe cap
+    ctx.fillStyle = style.cap;
+    ctx.fillRect(pipe.x - 5, pipe.topHeight - 30, pipeWidth + 10, 30);
+
+    // Bottom pipe
+    ctx.fillStyle = pipeGradient;
+    ctx.fillRect(pipe.x, pipe.topHeight + pipeGap, pipeWidth, height - pipe.topHeight - pipeGap);
+
+    // Pipe cap bottom
+    ctx.fillStyle = style.cap;
+    ctx.fillRect(pipe.x - 5, pipe.topHeight + pipeGap, pipeWidth + 10, 30);
+  });
+};
+
+export const drawGround = (ctx, state, config, background = DEFAULT_SCENERY.background) => {
+  const { width, height, groundHeight } = config;
+
+  const groundGradient = ctx.createLinearGradient(0, height - groundHeight, 0, height);
+  groundGradient.addColorStop(0, background.ground[0]);
+  groundGradient.addColorStop(1, background.ground[1]);
+  ctx.fillStyle = groundGradient;
+  ctx.fillRect(0, height - groundHeight, width, groundHeight);
+
+  // Ground pattern
+  ctx.fillStyle = background.groundStripe;
+  for (let i = 0; i < width; i += 40) {
+    ctx.fillRect(i - state.distance % 40, height - groundHeight, 5, groundHeight);
+  }
+};
+
+// Item palettes: fill, rim and the colour of the glyph drawn inside
+const ITEM_STYLES = {
+  coin: { fill: '#FACC15', rim: '#CA8A04', glyph: '#A16207' },
+  shield: { fill: '#60A5FA', rim: '#1D4ED8', glyph: 'white' },
+  slowMo: { fill: '#C084FC', rim: '#7E22CE', glyph: 'white' },
+  shrink: { fill: '#F472B6', rim: '#BE185D', glyph: 'white' },
+};
+
+const drawItemGlyph = (ctx, type, r) => {
+  ctx.beginPath();
+  if (type === 'coin') {
+    ctx.lineWidth = 2;
+    ctx.arc(0, 0, r * 0.55, 0, Math.PI * 2);
+    ctx.stroke();
+  } else if (type === 'shield') {
+    ctx.moveTo(0, -r * 0.6);
+    ctx.lineTo(r * 0.5, -r * 0.35);
+    ctx.quadraticCurveTo(r * 0.45, r * 0.35, 0, r * 0.65);
+    ctx.quadraticCurveTo(-r * 0.45, r * 0.35, -r * 0.5, -r * 0.35);
+    ctx.closePath();
+    ctx.fill();
+  } else if (type === 'slowMo') {
+    ctx.lineWidth = 2;
+    ctx.arc(0, 0, r * 0.55, 0, Math.PI * 2);
+    ctx.moveTo(0, 0);
+    ctx.lineTo(0, -r * 0.4);
+    ctx.moveTo(0, 0);
+    ctx.lineTo(r * 0.3, 0);
+    ctx.stroke();
+  } else if (type === 'shrink') {
+    ctx.lineWidth = 2;
+    [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([dx, dy]) => {
+      ctx.moveTo(dx * r * 0.6, dy * r * 0.6);
+      ctx.lineTo(dx * r * 0.2, dy * r * 0.2);
+    });
+    ctx.stroke();
+  }
+};
+
+export const drawItems = (ctx, state, { reducedMotion = false } = {}) => {
+  state.items.forEach(item => {
+    const { radius } = ITEM_TYPES[item.type];
+    const style = ITEM_STYLES[item.type];
+    // Items bob gently so they read as collectibles rather than scenery
+    const bob = reducedMotion ? 0 : Math.sin((state.frame + item.id * 17) / 8) * 3;
+
+    ctx.save();
+    ctx.translate(item.x, item.y + bob);
+    ctx.fillStyle = style.fill;
+    ctx.strokeStyle = style.rim;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = style.glyph;
+    ctx.strokeStyle = style.glyph;
+    drawItemGlyph(ctx, item.type, radius);
+    ctx.restore();
+  });
+};
+
+// Base bird palettes; skins recolour the default, the ghost is a translucent, pale copy
+export const BIRD_STYLES = {
+  default: {
+    alpha: 1,
+    body: ['#FCD34D', '#F59E0B', '#D97706'],
+    outline: '#92400E',
+    eye: 'white',
+    pupil: 'black',
+    beak: '#EF4444',
+    wing: '#FDE68A',
+  },
+  ghost: {
+    alpha: 0.4,
+    body: ['#F8FAFC', '#CBD5E1', '#94A3B8'],
+    outline: '#475569',
+    eye: 'white',
+    pupil: '#334155',
+    beak: '#CBD5E1',
+    wing: '#F1F5F9',
+  },
+};
+
+export const drawBird = (ctx, state, config, style = BIRD_STYLES.default) => {
+  const { bird } = state;
+  const { birdX, birdSize } = config;
+
+  const effects = state.effects ?? {};
+  // Blink while recovering from a broken shield
+  const blinking = effects.recovery > 0 && Math.floor(state.frame / 4) % 2 === 0;
+
+  ctx.save();
+  ctx.globalAlpha = style.alpha * (blinking ? 0.4 : 1);
+  ctx.translate(birdX, bird.y);
+
+  if (effects.shield > 0) {
+    ctx.fillStyle = 'rgba(96, 165, 250, 0.25)';
+    ctx.strokeStyle = 'rgba(29, 78, 216, 0.7)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, birdSize / 2 + 8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  const scale = getHitboxScale(effects);
+  ctx.scale(scale, scale);
+  ctx.rotate((bird.rotation * Math.PI) / 180);
+
+  // Bird body
+  const birdGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, birdSize / 2);
+  birdGradient.addColorStop(0, style.body[0]);
+  birdGradient.addColorStop(0.7, style.body[1]);
+  birdGradient.addColorStop(1, style.body[2]);
+
+  ctx.fillStyle = birdGradient;
+  ctx.beginPath();
+  ctx.arc(0, 0, birdSize / 2, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Bird outline
+  ctx.strokeStyle = style.outline;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  // Eye
+  ctx.fillStyle = style.eye;
+  ctx.beginPath();
+  ctx.arc(8, -6, 8, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = style.pupil;
+  ctx.beginPath();
+  ctx.arc(10, -6, 4, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Beak
+  ctx.fillStyle = style.beak;
+  ctx.beginPath();
+  ctx.moveTo(12, 2);
+  ctx.lineTo(28, 8);
+  ctx.lineTo(12, 14);
+  ctx.closePath();
+  ctx.fill();
+
+  // Wing
+  const wingOffset = state.status === 'playing' && state.frame % 10 < 5 ? -5 : 0;
+  ctx.fillStyle = style.wing;
+  ctx.beginPath();
+  ctx.ellipse(-8 + wingOffset, 8, 10, 6, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = style.outline;
+  ctx.lineWidth = 1;
+  ctx.stroke();
+
+  ctx.restore();
+};
+
+export const getBirdStyle = (skin) => ({ ...BIRD_STYLES.default, ...skin, alpha: 1 });
+
+/**
+ * Draws a full frame.
+ *
+ * @param {object} [options]
+ * @param {object} [options.ghost] - Second state whose bird is drawn in the ghost
+ *   style behind the player, e.g. a replayed best run
+ * @param {object} [options.look] - Resolved look `{ bird, pipes, background }`
+ * @param {Array<{ state: object, skin: object }>} [options.birds] - Birds drawn
+ *   instead of the state's own, when several players share the course
+ * @param {boolean} [options.reducedMotion] - Stops purely decorative movement
+ */
+export const drawScene = (ctx, state, config, { ghost, look = DEFAULT_SCENERY, birds, reducedMotion = false } = {}) => {
+  drawBackground(ctx, state, config, look.background, { reducedMotion });
+  drawPipes(ctx, state, config, look.pipes);
+  drawItems(ctx, state, { reducedMotion });
+  drawGround(ctx, state, config, look.background);
+  drawNightShade(ctx, state, config, look.background);
+  // A cool tint while slow motion is running
+  if (state.effects?.slowMo > 0) {
+    ctx.fillStyle = 'rgba(126, 34, 206, 0.12)';
+    ctx.fillRect(0, 0, config.width, config.height);
+  }
+  if (ghost && ghost.status !== 'gameover') {
+    drawBird(ctx, ghost, config, BIRD_STYLES.ghost);
+  }
+  (birds ?? [{ state, skin: look.bird }]).forEach(bird => {
+    drawBird(ctx, bird.state, config, getBirdStyle(bird.skin));
+  });
+};
+
+// Still scene for the wardrobe: one pipe pair and the bird in front of it
+export const drawLookPreview = (ctx, look, width, height) => {
+  const config = {
+    width,
+    height,
+    groundHeight: Math.round(height * 0.15),
+    pipeWidth: Math.round(width * 0.25),
+    pipeGap: Math.round(height * 0.45),
+    birdX: Math.round(width * 0.3),
+    birdSize: 34,
+  };
+  const state = {
+    frame: 0,
+    distance: 0,
+    status: 'ready',
+    bird: { y: Math.round(height * 0.45), rotation: 0 },
+    pipes: [{ x: Math.round(width * 0.6), topHeight: Math.round(height * 0.15) }],
+    items: [],
+  };
+  ctx.clearRect(0, 0, width, height);
+  drawScene(ctx, state, config, { look, reducedMotion: true });
+};
@@ -0,0 +1,62 @@
+/**
+ * Replays - a run is fully described by its seed, course size and the ticks
+ * on which the player jumped, so re-simulating it reproduces it exactly.
+ */
+
+import { createGame } from './engine.js';
+import { DIFFICULTY_CURVES } from './difficulty.js';
+import { POWERUP_TABLES } from './powerups.js';
+import { DEFAULT_MODE, getModeConfig } from './modes.js';
+
+export const createReplay = ({ seed, width, height, difficulty, powerups }, mode = DEFAULT_MODE) => ({
+  id: Date.now(),
+  mode,
+  seed,
+  width,
+  height,
+  // Runs recorded before difficulty curves existed have none
+  difficulty: difficulty?.id ?? null,
+  // Likewise for power-ups
+  powerups: powerups?.id ?? null,
+  inputs: [],
+  score: 0,
+  cause: null,
+  ticks: 0,
+});
+
+// Jumps are keyed by the engine frame on which they were applied
+export const recordJump = (replay, frame) => {
+  replay.inputs.push(frame);
+};
+
+export const finishReplay = (replay, { score, cause, frame }) => ({
+  ...replay,
+  score,
+  cause,
+  ticks: frame,
+  date: new Date().toISOString(),
+});
+
+/**
+ * Creates a game instance that feeds the recorded inputs back into the engine.
+ * `step()` takes no input; `isFinished()` turns true once the run has ended.
+ */
+export const createReplayGame = (replay) => {
+  const game = createGame({
+    ...getModeConfig(replay.mode),
+    width: replay.width,
+    height: replay.height,
+    seed: replay.seed,
+    difficulty: DIFFICULTY_CURVES[replay.difficulty] ?? null,
+    powerups: POWERUP_TABLES[replay.powerups] ?? null,
+  });
+  const jumps = new Set(replay.inputs);
+
+  return {
+    ...game,
+    step: () => game.step({ jump: jumps.has(game.getState().frame) }),
+    isFinished: () => game.getState().status === 'gameover',
+    // 0..1 progress through the recording
+    getProgress: () => (replay.ticks > 0 ? Math.min(game.getState().frame / replay.ticks, 1) : 1),
+  };
+};
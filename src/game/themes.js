@@ -0,0 +1,200 @@
+/**
+ * Themes - bird skins, pipe styles and backgrounds as data.
+ * A look combines one item of each slot; the renderer reads every colour it
+ * draws from the look. Items are free, unlocked by a best score (in any ranked
+ * mode) or bought with coins.
+ */
+
+export const BIRD_SKINS = {
+  classic: {
+    id: 'classic',
+    name: 'Канарейка',
+    body: ['#FCD34D', '#F59E0B', '#D97706'],
+    outline: '#92400E',
+    beak: '#EF4444',
+    wing: '#FDE68A',
+  },
+  robin: {
+    id: 'robin',
+    name: 'Снегирь',
+    body: ['#FCA5A5', '#EF4444', '#B91C1C'],
+    outline: '#7F1D1D',
+    beak: '#F59E0B',
+    wing: '#FECACA',
+    unlock: { type: 'coins', price: 30 },
+  },
+  bluebird: {
+    id: 'bluebird',
+    name: 'Синица',
+    body: ['#93C5FD', '#3B82F6', '#1D4ED8'],
+    outline: '#1E3A8A',
+    beak: '#F59E0B',
+    wing: '#DBEAFE',
+    unlock: { type: 'score', score: 10 },
+  },
+  parrot: {
+    id: 'parrot',
+    name: 'Попугай',
+    body: ['#86EFAC', '#22C55E', '#15803D'],
+    outline: '#14532D',
+    beak: '#F97316',
+    wing: '#FDE047',
+    unlock: { type: 'coins', price: 60 },
+  },
+  phoenix: {
+    id: 'phoenix',
+    name: 'Феникс',
+    body: ['#FDE68A', '#F97316', '#C2410C'],
+    outline: '#7C2D12',
+    beak: '#FACC15',
+    wing: '#FCA5A5',
+    unlock: { type: 'score', score: 50 },
+  },
+  // Bright on dark, for the high-contrast background
+  neon: {
+    id: 'neon',
+    name: 'Неон',
+    body: ['#F472B6', '#EC4899', '#DB2777'],
+    outline: '#FFFFFF',
+    beak: '#FACC15',
+    wing: '#FFFFFF',
+  },
+};
+
+export const PIPE_STYLES = {
+  green: {
+    id: 'green',
+    name: 'Зелёные',
+    pipe: ['#22C55E', '#4ADE80', '#16A34A'],
+    cap: '#15803D',
+  },
+  brick: {
+    id: 'brick',
+    name: 'Кирпичные',
+    pipe: ['#DC2626', '#F87171', '#991B1B'],
+    cap: '#7F1D1D',
+    unlock: { type: 'coins', price: 40 },
+  },
+  steel: {
+    id: 'steel',
+    name: 'Стальные',
+    pipe: ['#64748B', '#CBD5E1', '#475569'],
+    cap: '#334155',
+    unlock: { type: 'score', score: 25 },
+  },
+  candy: {
+    id: 'candy',
+    name: 'Карамельные',
+    pipe: ['#EC4899', '#F9A8D4', '#BE185D'],
+    cap: '#9D174D',
+    unlock: { type: 'coins', price: 80 },
+  },
+  contrast: {
+    id: 'contrast',
+    name: 'Контрастные',
+    pipe: ['#FFFFFF', '#FFFFFF', '#FFFFFF'],
+    cap: '#FACC15',
+  },
+};
+
+// Layers are listed from the farthest to the nearest; `speed` is the share of
+// the pipe speed they scroll at, `height` their share of the sky. Layers marked
+// `night` fade in with the day/night cycle, which blends the sky towards
+// `cycle.sky` and shades the scene with `cycle.shade`. `dark` backgrounds are
+// night all the time.
+export const BACKGROUNDS = {
+  day: {
+    id: 'day',
+    name: 'День',
+    sky: ['#60A5FA', '#93C5FD'],
+    ground: ['#D97706', '#92400E'],
+    groundStripe: '#B45309',
+    layers: [
+      { type: 'stars', color: '#F8FAFC', speed: 0.02, height: 0.6, night: true },
+      { type: 'clouds', color: 'rgba(255, 255, 255, 0.8)', speed: 0.15, drift: 0.3, height: 0.4 },
+      { type: 'hills', color: '#A7F3D0', speed: 0.1, height: 0.35 },
+      { type: 'skyline', color: '#94A3B8', speed: 0.25, height: 0.25, seed: 3 },
+    ],
+    cycle: { sky: ['#0F172A', '#312E81'], shade: '#1E1B4B' },
+  },
+  night: {
+    id: 'night',
+    name: 'Ночь',
+    dark: true,
+    sky: ['#0F172A', '#312E81'],
+    ground: ['#78350F', '#451A03'],
+    groundStripe: '#57260A',
+    layers: [
+      { type: 'stars', color: '#F8FAFC', speed: 0.02, height: 0.6, count: 60 },
+      { type: 'clouds', color: 'rgba(148, 163, 184, 0.35)', speed: 0.15, drift: 0.3, height: 0.4 },
+      { type: 'hills', color: '#1E1B4B', speed: 0.1, height: 0.35 },
+      { type: 'skyline', color: '#0F172A', windows: '#FDE68A', speed: 0.25, height: 0.25, seed: 3 },
+    ],
+    unlock: { type: 'score', score: 15 },
+  },
+  sunset: {
+    id: 'sunset',
+    name: 'Закат',
+    sky: ['#7C3AED', '#FB923C'],
+    ground: ['#B45309', '#78350F'],
+    groundStripe: '#92400E',
+    layers: [
+      { type: 'stars', color: '#FDE68A', speed: 0.02, height: 0.6, night: true },
+      { type: 'clouds', color: 'rgba(254, 215, 170, 0.7)', speed: 0.15, drift: 0.3, height: 0.4 },
+      { type: 'hills', color: '#9D174D', speed: 0.1, height: 0.35, waves: 3 },
+      { type: 'skyline', color: '#4C1D95', windows: '#FDBA74', speed: 0.25, height: 0.25, seed: 5 },
+    ],
+    cycle: { sky: ['#0F172A', '#4C1D95'], shade: '#1E1B4B' },
+    unlock: { type: 'coins', price: 50 },
+  },
+  // Flat, strongly separated colours for low-vision players; always free and
+  // without a cycle, so the contrast never drops
+  contrast: {
+    id: 'contrast',
+    name: 'Контраст',
+    sky: ['#000000', '#000000'],
+    ground: ['#FACC15', '#FACC15'],
+    groundStripe: '#000000',
+    layers: [
+      { type: 'skyline', color: '#262626', speed: 0.25, height: 0.25, seed: 3 },
+    ],
+  },
+};
+
+// Wardrobe slots in display order, with the item tables they pick from
+export const LOOK_SLOTS = [
+  { id: 'bird', items: BIRD_SKINS },
+  { id: 'pipes', items: PIPE_STYLES },
+  { id: 'background', items: BACKGROUNDS },
+];
+
+export const DEFAULT_LOOK = { bird: 'classic', pipes: 'green', background: 'day' };
+
+// Wardrobe pieces matching the colour themes that came before the wardrobe;
+// the classic theme is the default look
+export const LEGACY_THEME_LOOKS = {
+  night: { background: 'night' },
+  contrast: { bird: 'neon', pipes: 'contrast', background: 'contrast' },
+};
+
+// Resolves equipped ids to item data; unknown ids fall back to the defaults
+export const resolveLook = (equipped = {}) => Object.fromEntries(
+  LOOK_SLOTS.map(({ id, items }) => [id, items[equipped[id]] ?? items[DEFAULT_LOOK[id]]])
+);
+
+// Bought items are stored as 'slot:id' so ids may repeat across slots
+export const getItemKey = (slotId, itemId) => `${slotId}:${itemId}`;
+
+/**
+ * Whether an item can be equipped.
+ *
+ * @param {{ owned: string[], bestScore: number }} progress - Bought item keys
+ *   and the player's best score over the ranked modes
+ */
+export const isItemUnlocked = (slotId, item, { owned = [], bestScore = 0 } = {}) => {
+  const unlock = item.unlock;
+  if (!unlock) return true;
+  if (unlock.type === 'score') return bestScore >= unlock.score;
+  if (unlock.type === 'coins') return owned.includes(getItemKey(slotId, item.id));
+  return false;
+};
@@ -0,0 +1,390 @@
+/**
+ * English UI strings, plus translations of the game data under `data`.
+ */
+
+export const en = {
+  keys: {
+    Space: 'Space',
+  },
+
+  points: { one: '{count} point', other: '{count} points' },
+
+  menu: {
+    subtitle: 'A bright cartoon arcade 🎮',
+    play: 'PLAY',
+    ghostRace: 'Race your best ({score})',
+    daily: 'Daily challenge',
+    dailyInfo: 'Attempts: {attempts} • streak: {streak}',
+    watchAi: 'Watch AI',
+    versus: 'Versus',
+    rules: 'How to play',
+    leaderboard: 'Leaderboard',
+    settings: 'Settings',
+    stats: 'Statistics',
+    achievements: 'Achievements',
+    wardrobe: 'Wardrobe',
+    choosePlayer: 'Choose player',
+    coins: 'Coins',
+    switchPlayer: '• switch',
+    hint: '💡 {jump} — flap • {pause} — pause',
+  },
+
+  modes: {
+    title: 'Game mode',
+    yourBest: 'Your best',
+    seedPlaceholder: 'Course seed (random)',
+  },
+
+  game: {
+    autopilot: {
+      demo: 'Autopilot',
+      assist: 'Assist',
+    },
+    autopilotNote: 'Results with the autopilot are not saved',
+    watchAgain: 'Watch again',
+    playThisCourse: 'Play this course yourself',
+    pause: 'Pause ({key})',
+    resume: 'Resume ({key})',
+    runCoins: 'Coins this run',
+    timeLeft: 'Time left',
+    stage: 'Difficulty stage',
+    ghost: 'Ghost of your best run on this course',
+    modeBest: 'Best: {mode}',
+    timeUp: 'Time’s up!',
+    gameOver: 'Game Over!',
+    score: 'Score:',
+    newRecord: '🎉 New Record!',
+    coinsEarned: 'Coins: +{coins}',
+    topTen: 'You made the top 10! Your name:',
+    seed: 'Course seed:',
+    playAgain: 'Play again',
+    sameCourse: 'Same course',
+    watchReplay: 'Watch replay',
+    orPress: 'or press {key}',
+    paused: 'Paused',
+    continue: 'Resume',
+    restart: 'Restart',
+    toMenu: 'Main menu',
+    tapToFly: 'Tap to fly!',
+    clickOrKey: 'Click or press {key}',
+    tapScreen: 'Tap the screen',
+    jump: 'Flap',
+    pauseHint: 'Pause',
+    mobileHint: 'Tap the screen to flap',
+  },
+
+  rules: {
+    title: 'How to play',
+    controlsTitle: '1. Controls',
+    controlsPress: 'Press',
+    controlsClick: 'or click to make the bird flap its wings.',
+    controlsTouch: 'Tap the screen to make the bird flap its wings.',
+    controlsFall: 'Let go and gravity pulls the bird down.',
+    controlsPauseBefore: 'The',
+    controlsPauseAfter: 'key pauses the game.',
+    controlsGamepad: 'On a gamepad: {jump} to flap, {pause} to pause.',
+    goalTitle: '2. Goal',
+    goal: 'Fly between the green pipes without touching them. Every pair of pipes you pass is worth 1 point. The game gets harder as you go!',
+    leaderboardTitle: '3. Leaderboard',
+    leaderboard: 'Your best results are saved automatically. Compete with friends for a top-10 spot in every mode! Can you score 100?',
+    modesTitle: 'Game modes',
+    bonusesTitle: 'Power-ups',
+    bonuses: {
+      coin: { name: 'Coin', text: '+1 point and a coin for the player’s purse' },
+      shield: { name: 'Shield', text: 'Saves you from one crash' },
+      slowMo: { name: 'Slow motion', text: 'Pipes move slower for {seconds} s' },
+      shrink: { name: 'Shrink', text: 'The bird is smaller for {seconds} s' },
+    },
+    tipsTitle: 'Pro tips',
+    tips: [
+      'Don’t rush - find your rhythm',
+      'Short taps beat long ones',
+      'Look ahead to the next pipe',
+      'Don’t watch the score while playing!',
+    ],
+  },
+
+  leaderboard: {
+    title: 'Leaderboard',
+    local: 'Local',
+    global: 'Global',
+    all: 'All',
+    player: 'Player',
+    score: 'Score',
+    serverDown: 'The leaderboard server is unavailable',
+    retry: 'Retry',
+    disabled: 'No global leaderboard is configured',
+    empty: 'No scores yet',
+    beFirst: 'Be the first to play!',
+    watchReplay: 'Watch replay',
+    pending: 'Waiting to be sent: {count}',
+    recentRuns: 'Recent runs',
+    import: 'Import',
+    importEntries: 'Entries: {entries} • duplicates: {duplicates}',
+    importPlayers: ' • players: {count}',
+    importRejected: ' • rejected: {count}',
+    merge: 'Merge',
+    replace: 'Replace',
+    cancel: 'Cancel',
+    readError: 'Could not read “{file}”: {error}',
+    replaced: 'Leaderboard replaced',
+    merged: 'Results merged',
+    clear: 'Clear leaderboard',
+  },
+
+  profiles: {
+    title: 'Players',
+    empty: 'No players yet',
+    createBelow: 'Create a profile below',
+    coins: 'Coins',
+    rename: 'Rename',
+    delete: 'Delete',
+    confirmDelete: 'Delete player “{name}”?',
+    newName: 'New player name',
+    add: 'Add',
+  },
+
+  stats: {
+    title: 'Statistics',
+    noPlayer: 'Runs without a profile',
+    allModes: 'All modes',
+    empty: 'No finished runs yet',
+    emptyHint: 'Every run you finish shows up here',
+    played: 'Games played',
+    best: 'Best',
+    average: 'Average score',
+    median: 'Median',
+    scoreStreak: 'Streak of {score}+',
+    dayStreak: 'Days in a row',
+    streakValue: '{best} (now {current})',
+    flaps: 'Flaps',
+    time: 'Time in the air',
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    histogram: 'Score distribution',
+    progress: 'Progress',
+    progressNote: 'Scores of your recent runs and the average over 10 games',
+    causes: 'Causes of crashes',
+  },
+
+  daily: {
+    title: 'Daily challenge',
+    note: 'One course for the whole day, the same for every player. A new one arrives at midnight UTC.',
+    attempts: 'Attempts',
+    attemptsLeft: { one: '{count} attempt left', other: '{count} attempts left' },
+    best: 'Best today',
+    streak: 'Day streak',
+    play: 'Start an attempt',
+    comeBack: 'No attempts left today — come back tomorrow!',
+    nextAttempt: 'Another attempt ({count})',
+    backToChallenge: 'Back to the daily challenge',
+    local: 'Best on this device',
+    global: 'Best worldwide',
+    empty: 'Nobody has played today yet',
+  },
+
+  versus: {
+    title: 'Versus',
+    formats: {
+      split: {
+        name: 'Head to head',
+        description: 'Two birds through the same pipes on one screen. Whoever flies further wins.',
+      },
+      turns: {
+        name: 'Take turns',
+        description: 'Players fly the same course one after the other, then compare results.',
+      },
+    },
+    player: 'Player {number}',
+    controls: '{keys} or the {side}',
+    sides: {
+      left: 'left half of the screen',
+      right: 'right half of the screen',
+    },
+    rulesNote: 'The difficulty stays the same and there are no power-ups, so both players get equal conditions. Results are not recorded.',
+    readySplit: 'The first flap starts both birds',
+    readyTurn: '{player}, your turn!',
+    anyInput: 'Flap with either player’s key or a tap',
+    ghostNote: 'The ghost is {player}’s run',
+    nextTurn: 'Next: {player}',
+    wins: '{player} wins!',
+    draw: 'Draw!',
+    seconds: '{seconds} s',
+    rematch: 'Rematch',
+    newCourse: 'New course',
+    changeFormat: 'Change format',
+  },
+
+  achievements: {
+    title: 'Achievements',
+    guest: 'No profile',
+    count: '{unlocked} of {total} unlocked',
+    unlocked: 'Achievement unlocked',
+  },
+
+  wardrobe: {
+    title: 'Wardrobe',
+    slots: {
+      bird: 'Bird',
+      pipes: 'Pipes',
+      background: 'Background',
+    },
+    equipped: 'Equipped',
+    equip: 'Equip',
+    buy: 'Buy for {price}',
+    notEnoughCoins: 'Not enough coins',
+    unlockScore: 'Best score {score}+',
+    note: 'Coins are collected during runs. Score unlocks count your best in any ranked mode.',
+    noProfile: 'Choose a player to open the wardrobe',
+  },
+
+  settings: {
+    title: 'Settings',
+    sound: 'Sound',
+    sfx: 'Sound effects',
+    music: 'Music',
+    unmute: 'Unmute',
+    mute: 'Mute',
+    controls: 'Controls',
+    defaults: 'Reset to defaults',
+    actions: {
+      jump: 'Flap',
+      pause: 'Pause',
+      back: 'Pause / exit',
+    },
+    unbound: 'Not bound',
+    removeKey: 'Remove',
+    keys: 'Keyboard',
+    gamepad: 'Gamepad',
+    gamepadNone: 'not found — press any button on the gamepad',
+    capture: {
+      keys: 'Press a key…',
+      gamepad: 'Press a button…',
+    },
+    add: {
+      keys: '+ Key',
+      gamepad: '+ Button',
+    },
+    rebindNote: 'A key already used by another action moves to the new one.',
+    display: 'Display',
+    reducedMotion: 'Reduce motion',
+    motion: {
+      system: 'System setting',
+      on: 'On',
+      off: 'Off',
+    },
+    showFps: 'Show FPS',
+    language: 'Language',
+    languageAuto: 'Browser language',
+    difficulty: 'Difficulty',
+    difficultyNote: 'Applies to Classic mode; scores on another difficulty are tagged on the leaderboard.',
+    assist: 'Assist',
+    assistNote: 'The autopilot flaps for you when the bird is about to crash. Assisted runs do not count towards records, statistics or achievements.',
+  },
+
+  replay: {
+    label: 'REPLAY',
+    fromStart: 'From the start',
+    pause: 'Pause',
+    resume: 'Resume',
+    runEnd: 'End of run',
+    causes: {
+      ground: 'Hit the ground',
+      pipe: 'Hit a pipe',
+      time: 'Time ran out',
+    },
+  },
+
+  data: {
+    modes: {
+      classic: {
+        name: 'Classic',
+        description: 'The familiar rules: touch a pipe once and the run is over.',
+        rules: [
+          'Fly between the pipes; every pair is worth 1 point.',
+          'Hitting a pipe or the ground ends the game.',
+          'The difficulty grows with your score.',
+          'Collect coins and power-ups between the pipes.',
+        ],
+      },
+      zen: {
+        name: 'Zen',
+        description: 'No dying: the bird passes straight through pipes. Made for practice.',
+        rules: [
+          'Pipes are harmless — the bird flies through them.',
+          'The ground is safe: the bird simply lands on it.',
+          'Points still count — keep an eye on your accuracy.',
+          'Leave at any time from the pause menu (P or ESC).',
+        ],
+      },
+      timeAttack: {
+        name: 'Time Attack',
+        description: 'As many pipes as you can in 60 seconds.',
+        rules: [
+          'You have exactly 60 seconds from the first flap.',
+          'Pipes come faster and more often than in Classic.',
+          'A crash ends the run early.',
+        ],
+      },
+      hardcore: {
+        name: 'Hardcore',
+        description: 'Narrow gaps, high speed and pipes that move.',
+        rules: [
+          'The gap between pipes is noticeably narrower.',
+          'Speed is high from the start and grows quickly.',
+          'Pipes sway up and down, close and open — time your move.',
+          'Sometimes pipes come in pairs, one right after another.',
+          'No power-ups and no coins.',
+        ],
+      },
+    },
+    curves: {
+      relaxed: { label: 'Easy', stages: ['Stroll', 'Warm-up', 'Breeze'] },
+      standard: { label: 'Normal', stages: ['Warm-up', 'Breeze', 'Wind', 'Storm', 'Hurricane'] },
+      sprint: { label: 'Sprint', stages: ['Start', 'Speed-up', 'Sprint'] },
+      expert: { label: 'Hard', stages: ['Storm', 'Hurricane', 'Tempest'] },
+      hardcore: { label: 'Hardcore', stages: ['Tough', 'Merciless', 'Inferno'] },
+    },
+    effects: {
+      shield: 'Shield',
+      slowMo: 'Slow motion',
+      shrink: 'Shrink',
+    },
+    achievements: {
+      firstPipe: { name: 'First step', description: 'Fly through your first pipe' },
+      score10: { name: 'Warming up', description: 'Score 10 points in a run' },
+      score50: { name: 'Half a hundred', description: 'Score 50 points in a run' },
+      score100: { name: 'Century', description: 'Score 100 points in a run' },
+      streak: { name: 'On fire', description: 'Score more than 20 in 5 runs in a row' },
+      nearMiss: { name: 'By a feather', description: 'Squeeze past a pipe with no room to spare' },
+      nightOwl: { name: 'Night owl', description: 'Score a point at night' },
+      shieldBreaker: { name: 'Saved by the shield', description: 'Survive a hit thanks to a shield' },
+      marathon: { name: 'Marathon', description: 'Stay in the air for 2 minutes' },
+      pipes500: { name: 'Plumber', description: 'Fly through 500 pipes across all runs' },
+      coins100: { name: 'Piggy bank', description: 'Collect 100 coins' },
+      veteran: { name: 'Veteran', description: 'Play 100 runs' },
+    },
+    looks: {
+      bird: {
+        classic: 'Canary',
+        robin: 'Bullfinch',
+        bluebird: 'Blue tit',
+        parrot: 'Parrot',
+        phoenix: 'Phoenix',
+        neon: 'Neon',
+      },
+      pipes: {
+        green: 'Green',
+        brick: 'Brick',
+        steel: 'Steel',
+        candy: 'Candy',
+        contrast: 'High contrast',
+      },
+      background: {
+        day: 'Day',
+        night: 'Night',
+        sunset: 'Sunset',
+        contrast: 'High contrast',
+      },
+    },
+  },
+};
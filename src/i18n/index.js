@@ -0,0 +1,88 @@
+/**
+ * Internationalization - locale catalogs, language detection and locale-aware
+ * formatting of numbers and dates.
+ * Game data (mode, stage, power-up and theme names) is written in Russian in
+ * the data modules; other catalogs translate it under `data`, and Russian
+ * lookups fall back to the data itself.
+ */
+
+import { ru } from './ru.js';
+import { en } from './en.js';
+
+export const LOCALES = {
+  ru: { id: 'ru', name: 'Русский', tag: 'ru-RU', catalog: ru },
+  en: { id: 'en', name: 'English', tag: 'en-US', catalog: en },
+};
+
+export const LOCALE_ORDER = ['ru', 'en'];
+export const DEFAULT_LOCALE = 'ru';
+
+// The language setting value that follows the browser
+export const AUTO_LOCALE = 'auto';
+
+const getBrowserLanguages = () => {
+  if (typeof navigator === 'undefined') return [];
+  return navigator.languages?.length ? navigator.languages : [navigator.language];
+};
+
+// First supported language among the browser's preferences, e.g. "en-GB" -> "en"
+export const detectLocale = (languages = getBrowserLanguages()) =>
+  languages
+    .map(language => String(language ?? '').toLowerCase().split('-')[0])
+    .find(id => LOCALES[id]) ?? DEFAULT_LOCALE;
+
+export const resolveLocale = (setting) =>
+  (LOCALES[setting] ? setting : detectLocale());
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * Creates the translation and formatting helpers for one locale.
+ *
+ * `t(key, params)` replaces `{name}` placeholders with `params.name` (numbers
+ * are formatted for the locale). A message may be an object of plural forms
+ * picked by `params.count`, or a list of messages. Missing keys fall back to
+ * Russian, then to `params.fallback`, then to the key itself.
+ */
+export const createI18n = (localeId) => {
+  const locale = LOCALES[localeId] ?? LOCALES[DEFAULT_LOCALE];
+  const numberFormat = new Intl.NumberFormat(locale.tag);
+  const dateFormat = new Intl.DateTimeFormat(locale.tag, { dateStyle: 'medium' });
+  const dateTimeFormat = new Intl.DateTimeFormat(locale.tag, { dateStyle: 'medium', timeStyle: 'short' });
+  const pluralRules = new Intl.PluralRules(locale.tag);
+
+  const formatNumber = (value) => numberFormat.format(value);
+
+  // Unparseable dates (e.g. from an old remote server) are shown as stored
+  const formatWith = (format) => (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value ?? '') : format.format(date);
+  };
+
+  const interpolate = (message, params) =>
+    message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+
+  const t = (key, params = {}) => {
+    let message = lookup(locale.catalog, key) ?? lookup(LOCALES[DEFAULT_LOCALE].catalog, key) ?? params.fallback;
+    if (message === undefined) return key;
+    if (Array.isArray(message)) return message.map(item => interpolate(item, params));
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+    return interpolate(message, params);
+  };
+
+  return {
+    locale: locale.id,
+    tag: locale.tag,
+    t,
+    formatNumber,
+    formatDate: formatWith(dateFormat),
+    formatDateTime: formatWith(dateTimeFormat),
+  };
+};
@@ -0,0 +1,296 @@
+/**
+ * Russian UI strings - the source locale. Every key the app uses exists here.
+ */
+
+export const ru = {
+  keys: {
+    Space: 'Пробел',
+  },
+
+  points: { one: '{count} очко', few: '{count} очка', many: '{count} очков', other: '{count} очка' },
+
+  menu: {
+    subtitle: 'Яркая мультяшная аркада 🎮',
+    play: 'ИГРАТЬ',
+    ghostRace: 'Гонка с рекордом ({score})',
+    daily: 'Ежедневный вызов',
+    dailyInfo: 'Попыток: {attempts} • серия: {streak}',
+    watchAi: 'Игра ИИ',
+    versus: 'Вдвоём',
+    rules: 'Правила',
+    leaderboard: 'Топ игроков',
+    settings: 'Настройки',
+    stats: 'Статистика',
+    achievements: 'Достижения',
+    wardrobe: 'Гардероб',
+    choosePlayer: 'Выбрать игрока',
+    coins: 'Монеты',
+    switchPlayer: '• сменить',
+    hint: '💡 {jump} — прыжок • {pause} — пауза',
+  },
+
+  modes: {
+    title: 'Режим игры',
+    yourBest: 'Ваш рекорд',
+    seedPlaceholder: 'Сид трассы (случайный)',
+  },
+
+  game: {
+    autopilot: {
+      demo: 'Автопилот',
+      assist: 'Помощник',
+    },
+    autopilotNote: 'С автопилотом результаты не сохраняются',
+    watchAgain: 'Смотреть ещё',
+    playThisCourse: 'Сыграть эту трассу самому',
+    pause: 'Пауза ({key})',
+    resume: 'Продолжить ({key})',
+    runCoins: 'Монеты за забег',
+    timeLeft: 'Осталось времени',
+    stage: 'Уровень сложности',
+    ghost: 'Призрак лучшего забега на этой трассе',
+    modeBest: 'Рекорд: {mode}',
+    timeUp: 'Время вышло!',
+    gameOver: 'Игра окончена!',
+    score: 'Счёт:',
+    newRecord: '🎉 Новый рекорд!',
+    coinsEarned: 'Монеты: +{coins}',
+    topTen: 'Вы в топ-10! Ваше имя:',
+    seed: 'Сид трассы:',
+    playAgain: 'Играть снова',
+    sameCourse: 'Эта же трасса',
+    watchReplay: 'Смотреть повтор',
+    orPress: 'или нажмите {key}',
+    paused: 'Пауза',
+    continue: 'Продолжить',
+    restart: 'Заново',
+    toMenu: 'В меню',
+    tapToFly: 'Коснись, чтобы лететь!',
+    clickOrKey: 'Клик мыши или {key}',
+    tapScreen: 'Коснитесь экрана',
+    jump: 'Прыжок',
+    pauseHint: 'Пауза',
+    mobileHint: 'Коснитесь экрана для прыжка',
+  },
+
+  rules: {
+    title: 'Как играть',
+    controlsTitle: '1. Управление',
+    controlsPress: 'Нажмите',
+    controlsClick: 'или кликните мышью, чтобы птица взмахнула крыльями.',
+    controlsTouch: 'Коснитесь экрана, чтобы птица взмахнула крыльями.',
+    controlsFall: 'Отпустите - и птица начнет падать под действием гравитации.',
+    controlsPauseBefore: 'Клавиша',
+    controlsPauseAfter: 'ставит игру на паузу.',
+    controlsGamepad: 'На геймпаде: {jump} — взмах, {pause} — пауза.',
+    goalTitle: '2. Цель игры',
+    goal: 'Пролетайте между зелеными трубами, не касаясь их. Каждая успешно пройденная пара труб приносит 1 очко. Сложность постепенно увеличивается!',
+    leaderboardTitle: '3. Таблица лидеров',
+    leaderboard: 'Ваши лучшие результаты автоматически сохраняются. Соревнуйтесь с друзьями за место в топ-10 в каждом режиме! Можете ли вы набрать 100 очков?',
+    modesTitle: 'Режимы игры',
+    bonusesTitle: 'Бонусы',
+    bonuses: {
+      coin: { name: 'Монета', text: '+1 очко и монета в копилку игрока' },
+      shield: { name: 'Щит', text: 'Спасает от одного столкновения' },
+      slowMo: { name: 'Замедление', text: 'Трубы движутся медленнее {seconds} с' },
+      shrink: { name: 'Уменьшение', text: 'Птица меньше {seconds} с' },
+    },
+    tipsTitle: 'Советы про',
+    tips: [
+      'Не спешите - найдите свой ритм',
+      'Короткие тапы лучше длинных',
+      'Следите за следующей трубой заранее',
+      'Не отвлекайтесь на счет во время игры!',
+    ],
+  },
+
+  leaderboard: {
+    title: 'Топ игроков',
+    local: 'Локальный',
+    global: 'Глобальный',
+    all: 'Все',
+    player: 'Игрок',
+    score: 'Очки',
+    serverDown: 'Сервер рейтинга недоступен',
+    retry: 'Повторить',
+    disabled: 'Глобальный рейтинг не подключён',
+    empty: 'Пока нет рекордов',
+    beFirst: 'Сыграйте первым!',
+    watchReplay: 'Смотреть повтор',
+    pending: 'Ожидают отправки: {count}',
+    recentRuns: 'Последние забеги',
+    import: 'Импорт',
+    importEntries: 'Записей: {entries} • дубликатов: {duplicates}',
+    importPlayers: ' • игроков: {count}',
+    importRejected: ' • отклонено: {count}',
+    merge: 'Объединить',
+    replace: 'Заменить',
+    cancel: 'Отмена',
+    readError: 'Не удалось прочитать «{file}»: {error}',
+    replaced: 'Таблица заменена',
+    merged: 'Результаты объединены',
+    clear: 'Очистить таблицу',
+  },
+
+  profiles: {
+    title: 'Игроки',
+    empty: 'Пока нет игроков',
+    createBelow: 'Создайте профиль ниже',
+    coins: 'Монеты',
+    rename: 'Переименовать',
+    delete: 'Удалить',
+    confirmDelete: 'Удалить игрока «{name}»?',
+    newName: 'Имя нового игрока',
+    add: 'Добавить',
+  },
+
+  stats: {
+    title: 'Статистика',
+    noPlayer: 'Забеги без профиля',
+    allModes: 'Все режимы',
+    empty: 'Пока нет завершённых забегов',
+    emptyHint: 'Каждый законченный забег попадает сюда',
+    played: 'Игр сыграно',
+    best: 'Рекорд',
+    average: 'Средний счёт',
+    median: 'Медиана',
+    scoreStreak: 'Серия от {score} очков',
+    dayStreak: 'Дней подряд',
+    streakValue: '{best} (сейчас {current})',
+    flaps: 'Взмахов',
+    time: 'В полёте',
+    minutes: { one: '{count} минута', few: '{count} минуты', many: '{count} минут', other: '{count} минуты' },
+    histogram: 'Распределение очков',
+    progress: 'Прогресс',
+    progressNote: 'Очки за последние забеги и среднее по 10 игр',
+    causes: 'Причины падений',
+  },
+
+  daily: {
+    title: 'Ежедневный вызов',
+    note: 'Одна трасса на весь день, одинаковая для всех игроков. Новая появляется в полночь по UTC.',
+    attempts: 'Попытки',
+    attemptsLeft: { one: 'Осталась {count} попытка', few: 'Осталось {count} попытки', many: 'Осталось {count} попыток', other: 'Осталось {count} попытки' },
+    best: 'Лучший результат дня',
+    streak: 'Серия дней',
+    play: 'Начать попытку',
+    comeBack: 'Попытки на сегодня закончились — возвращайтесь завтра!',
+    nextAttempt: 'Ещё попытка ({count})',
+    backToChallenge: 'К ежедневному вызову',
+    local: 'Лучшие на этом устройстве',
+    global: 'Лучшие в мире',
+    empty: 'Сегодня ещё никто не играл',
+  },
+
+  versus: {
+    title: 'Вдвоём',
+    formats: {
+      split: {
+        name: 'Наперегонки',
+        description: 'Две птицы в одних и тех же трубах на одном экране. Побеждает тот, кто пролетит дальше.',
+      },
+      turns: {
+        name: 'По очереди',
+        description: 'Игроки летят друг за другом по одной и той же трассе, а потом сравнивают результаты.',
+      },
+    },
+    player: 'Игрок {number}',
+    controls: '{keys} или {side}',
+    sides: {
+      left: 'левая половина экрана',
+      right: 'правая половина экрана',
+    },
+    rulesNote: 'Сложность не растёт, бонусов нет — у обоих игроков одинаковые условия. Результаты не попадают в рекорды.',
+    readySplit: 'Первый взмах запускает обе птицы',
+    readyTurn: '{player}, ваш ход!',
+    anyInput: 'Взмах — любая клавиша игроков или касание экрана',
+    ghostNote: 'Призрак — забег игрока «{player}»',
+    nextTurn: 'Ход: {player}',
+    wins: '{player} побеждает!',
+    draw: 'Ничья!',
+    seconds: '{seconds} с',
+    rematch: 'Реванш',
+    newCourse: 'Новая трасса',
+    changeFormat: 'Другой формат',
+  },
+
+  achievements: {
+    title: 'Достижения',
+    guest: 'Без профиля',
+    count: 'Открыто {unlocked} из {total}',
+    unlocked: 'Достижение открыто',
+  },
+
+  wardrobe: {
+    title: 'Гардероб',
+    slots: {
+      bird: 'Птица',
+      pipes: 'Трубы',
+      background: 'Фон',
+    },
+    equipped: 'Надето',
+    equip: 'Надеть',
+    buy: 'Купить за {price}',
+    notEnoughCoins: 'Не хватает монет',
+    unlockScore: 'Рекорд от {score}',
+    note: 'Монеты собираются во время забегов. Рекорд для открытия засчитывается в любом режиме с рейтингом.',
+    noProfile: 'Выберите игрока, чтобы открыть гардероб',
+  },
+
+  settings: {
+    title: 'Настройки',
+    sound: 'Звук',
+    sfx: 'Звуковые эффекты',
+    music: 'Музыка',
+    unmute: 'Включить',
+    mute: 'Выключить',
+    controls: 'Управление',
+    defaults: 'По умолчанию',
+    actions: {
+      jump: 'Прыжок',
+      pause: 'Пауза',
+      back: 'Пауза / выход',
+    },
+    unbound: 'Не назначено',
+    removeKey: 'Убрать',
+    keys: 'Клавиатура',
+    gamepad: 'Геймпад',
+    gamepadNone: 'не найден — нажмите любую кнопку на геймпаде',
+    capture: {
+      keys: 'Нажмите клавишу…',
+      gamepad: 'Нажмите кнопку…',
+    },
+    add: {
+      keys: '+ Клавиша',
+      gamepad: '+ Кнопка',
+    },
+    rebindNote: 'Клавиша, уже занятая другим действием, переходит к новому.',
+    display: 'Изображение',
+    reducedMotion: 'Уменьшение движения',
+    motion: {
+      system: 'Как в системе',
+      on: 'Включено',
+      off: 'Выключено',
+    },
+    showFps: 'Показывать FPS',
+    language: 'Язык',
+    languageAuto: 'Как в браузере',
+    difficulty: 'Сложность',
+    difficultyNote: 'Действует в классическом режиме; результаты на другой сложности отмечаются в таблице рекордов.',
+    assist: 'Помощник',
+    assistNote: 'Автопилот взмахивает за вас, когда птица вот-вот разобьётся. Такие забеги не попадают в рекорды, статистику и достижения.',
+  },
+
+  replay: {
+    label: 'ПОВТОР',
+    fromStart: 'С начала',
+    pause: 'Пауза',
+    resume: 'Продолжить',
+    runEnd: 'Конец забега',
+    causes: {
+      ground: 'Падение на землю',
+      pipe: 'Столкновение с трубой',
+      time: 'Время вышло',
+    },
+  },
+};
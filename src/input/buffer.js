@@ -0,0 +1,28 @@
+/**
+ * Input buffer - remembers when each action was last pressed so a press that
+ * arrives slightly before the game can accept it (e.g. during the last
+ * moments of the resume countdown) is applied instead of dropped.
+ */
+
+// How long a press stays valid while the game cannot take it yet
+export const INPUT_BUFFER_MS = 150;
+
+export const createInputBuffer = ({ windowMs = INPUT_BUFFER_MS, now = () => performance.now() } = {}) => {
+  const pressedAt = new Map();
+
+  return {
+    press: (action) => {
+      pressedAt.set(action, now());
+    },
+
+    // True once per press, if the press is still inside the buffer window
+    consume: (action) => {
+      if (!pressedAt.has(action)) return false;
+      const age = now() - pressedAt.get(action);
+      pressedAt.delete(action);
+      return age <= windowMs;
+    },
+
+    clear: () => pressedAt.clear(),
+  };
+};
@@ -0,0 +1,80 @@
+/**
+ * Gamepad polling - the Gamepad API has no button events, so connected pads
+ * are read once per animation frame and newly pressed buttons are reported.
+ * Button numbers follow the browser's "standard" mapping.
+ */
+
+// Names of the standard mapping buttons, as printed on an Xbox-style pad
+export const GAMEPAD_BUTTON_LABELS = {
+  0: 'A',
+  1: 'B',
+  2: 'X',
+  3: 'Y',
+  4: 'LB',
+  5: 'RB',
+  6: 'LT',
+  7: 'RT',
+  8: 'Back',
+  9: 'Start',
+  10: 'L3',
+  11: 'R3',
+  12: 'D↑',
+  13: 'D↓',
+  14: 'D←',
+  15: 'D→',
+  16: 'Home',
+};
+
+export const formatButton = (button) => GAMEPAD_BUTTON_LABELS[button] ?? `#${button}`;
+
+const getPads = () =>
+  (typeof navigator !== 'undefined' && navigator.getGamepads
+    ? [...navigator.getGamepads()].filter(Boolean)
+    : []);
+
+/**
+ * @param {object} options
+ * @param {(button: number, pad: Gamepad) => void} options.onPress - A button went down
+ * @param {(pads: { index: number, id: string }[]) => void} [options.onChange] - Pads connected or removed
+ */
+export const createGamepadPoller = ({ onPress, onChange = () => {} }) => {
+  let rafId = null;
+  // Buttons held on the previous frame, per pad index
+  const held = new Map();
+
+  const poll = () => {
+    getPads().forEach(pad => {
+      const previous = held.get(pad.index) ?? [];
+      const current = pad.buttons.map(button => button.pressed);
+      current.forEach((pressed, button) => {
+        if (pressed && !previous[button]) onPress(button, pad);
+      });
+      held.set(pad.index, current);
+    });
+    rafId = requestAnimationFrame(poll);
+  };
+
+  const reportPads = () => {
+    const pads = getPads();
+    [...held.keys()].forEach(index => {
+      if (!pads.some(pad => pad.index === index)) held.delete(index);
+    });
+    onChange(pads.map(({ index, id }) => ({ index, id })));
+  };
+
+  return {
+    start: () => {
+      if (rafId !== null) return;
+      window.addEventListener('gamepadconnected', reportPads);
+      window.addEventListener('gamepaddisconnected', reportPads);
+      reportPads();
+      rafId = requestAnimationFrame(poll);
+    },
+    stop: () => {
+      if (rafId !== null) cancelAnimationFrame(rafId);
+      rafId = null;
+      window.removeEventListener('gamepadconnected', reportPads);
+      window.removeEventListener('gamepaddisconnected', reportPads);
+    },
+  };
+};
@@ -0,0 +1,94 @@
+/**
+ * Input - turns keyboard keys, gamepad buttons, mouse clicks and touches into
+ * game actions ('jump', 'pause', 'back'). Keys and buttons go through the
+ * user's bindings; a pointer press on the playfield is always a jump.
+ */
+
+import { createGamepadPoller } from './gamepad.js';
+
+export { createInputBuffer, INPUT_BUFFER_MS } from './buffer.js';
+export { GAMEPAD_BUTTON_LABELS, formatButton } from './gamepad.js';
+
+export const INPUT_ACTIONS = ['jump', 'pause', 'back'];
+export const MAX_BINDINGS_PER_ACTION = 4;
+
+// Action bound to a key code or button number, or null
+export const findAction = (bindings, input) =>
+  Object.keys(bindings).find(action => bindings[action].includes(input)) ?? null;
+
+// Binds `input` to `action` and takes it away from every other action
+export const bindInput = (bindings, action, input) => Object.fromEntries(
+  Object.entries(bindings).map(([id, inputs]) => {
+    const rest = inputs.filter(other => other !== input);
+    return [id, id === action ? [...rest, input].slice(-MAX_BINDINGS_PER_ACTION) : rest];
+  })
+);
+
+/**
+ * @param {object} options
+ * @param {(action: string, details: { source: string, event?: Event }) => void} options.onAction
+ * @param {(input: { source: 'keyboard' | 'gamepad', value: string | number }) => void} [options.onCapture]
+ *   Receives the next key or button while a capture is armed, instead of onAction
+ * @param {(pads: { index: number, id: string }[]) => void} [options.onGamepadsChange]
+ */
+export const createInputManager = ({ onAction, onCapture = () => {}, onGamepadsChange }) => {
+  let bindings = { keys: {}, gamepad: {} };
+  // Source whose next press is captured for rebinding, or null
+  let capturing = null;
+
+  const handleKeyDown = (event) => {
+    // Let text fields (player name, seed) receive keys untouched
+    if (event.target instanceof HTMLInputElement) return;
+
+    if (capturing === 'keyboard') {
+      event.preventDefault();
+      capturing = null;
+      onCapture({ source: 'keyboard', value: event.code });
+      return;
+    }
+
+    const action = findAction(bindings.keys, event.code);
+    if (action) onAction(action, { source: 'keyboard', event });
+  };
+
+  const gamepad = createGamepadPoller({
+    onPress: (button) => {
+      if (capturing === 'gamepad') {
+        capturing = null;
+        onCapture({ source: 'gamepad', value: button });
+        return;
+      }
+      const action = findAction(bindings.gamepad, button);
+      if (action) onAction(action, { source: 'gamepad' });
+    },
+    onChange: onGamepadsChange,
+  });
+
+  return {
+    start: () => {
+      window.addEventListener('keydown', handleKeyDown);
+      gamepad.start();
+    },
+
+    stop: () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      gamepad.stop();
+    },
+
+    // `{ keys: { action: codes }, gamepad: { action: buttons } }` from the settings
+    setBindings: (next) => {
+      bindings = next;
+    },
+
+    // Arms ('keyboard' | 'gamepad') or cancels (null) capturing the next press
+    capture: (source) => {
+      capturing = source;
+    },
+
+    // Pointer handler for the playfield: primary mouse button, touch or pen
+    pointer: (event) => {
+      if (event.pointerType === 'mouse' && event.button !== 0) return;
+      onAction('jump', { source: 'pointer', event });
+    },
+  };
+};
@@ -0,0 +1,117 @@
+/**
+ * Leaderboard adapters - every adapter implements the same interface:
+ *   name: string
+ *   fetchScores(limit, mode): Promise<entry[]>
+ *   submitScore(entry): Promise<void>
+ * The local adapter is backed by storage; the HTTP adapter talks to a remote
+ * service (see server/mock-leaderboard.js for the protocol) and queues scores
+ * while offline.
+ */
+
+import { COLLECTIONS } from '../storage/collections.js';
+
+// Each game mode keeps its own top `limit` scores
+export const keepTopScores = (entries, limit) => {
+  const counts = {};
+  return [...entries]
+    .sort((a, b) => b.score - a.score)
+    .filter(entry => {
+      counts[entry.mode] = (counts[entry.mode] ?? 0) + 1;
+      return counts[entry.mode] <= limit;
+    });
+};
+
+export const createLocalLeaderboard = ({ storage, limit }) => ({
+  name: 'local',
+  fetchScores: async (_limit, mode) =>
+    storage.get('leaderboard').filter(entry => !mode || entry.mode === mode),
+  submitScore: async (entry) => {
+    storage.update('leaderboard', entries => keepTopScores([...entries, entry], limit));
+  },
+});
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message || `HTTP ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// 4xx means the server looked at the score and refused it; retrying won't help
+const isRejected = (error) =>
+  error instanceof HttpError && error.status >= 400 && error.status < 500;
+
+// Remote ids are not local profile ids; only the name travels
+const toRemoteEntry = ({ id, score, date, mode, playerName, difficulty }) =>
+  ({ id, score, date, mode, playerName, difficulty });
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl - Service root, e.g. "http://localhost:8787"
+ * @param {object} options.storage - Storage instance holding the offline queue
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ */
+export const createHttpLeaderboard = ({ baseUrl, storage, timeoutMs = 5000 }) => {
+  let flushing = null;
+
+  const request = async (path, options = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+        signal: controller.signal,
+      });
+      if (!response.ok) throw new HttpError(response.status);
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // Sends queued scores oldest first; stops at the first network failure.
+  // The queue is read again after every score, so ones queued meanwhile go too
+  const flush = () => {
+    if (flushing) return flushing;
+
+    flushing = (async () => {
+      let [entry] = storage.get('scoreQueue');
+      while (entry) {
+        try {
+          await request('/api/scores', {
+            method: 'POST',
+            body: JSON.stringify(toRemoteEntry(entry)),
+          });
+        } catch (error) {
+          if (!isRejected(error)) throw error;
+          console.warn('[leaderboard] score rejected by server, dropping it', error);
+        }
+        const { id } = entry;
+        storage.update('scoreQueue', queue => queue.filter(queued => queued.id !== id));
+        [entry] = storage.get('scoreQueue');
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  };
+
+  return {
+    name: 'http',
+    fetchScores: async (limit, mode) => {
+      const query = new URLSearchParams({ limit: String(limit) });
+      if (mode) query.set('mode', mode);
+      const data = await request(`/api/scores?${query}`);
+      const entries = (data?.scores ?? []).map(entry => ({ mode, ...entry, playerId: null }));
+      return COLLECTIONS.leaderboard.validate(entries);
+    },
+    submitScore: async (entry) => {
+      storage.update('scoreQueue', queue => [...queue, entry]);
+      await flush();
+    },
+    flush,
+    pendingCount: () => storage.get('scoreQueue').length,
+  };
+};
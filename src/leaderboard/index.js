@@ -0,0 +1,73 @@
+/**
+ * Leaderboard - scores are always kept locally and, when a remote service is
+ * configured (VITE_LEADERBOARD_URL), also submitted to the global board.
+ */
+
+import { storage } from '../storage/index.js';
+import { createLocalLeaderboard, createHttpLeaderboard } from './adapters.js';
+import { DEFAULT_MODE } from '../game/modes.js';
+
+export { createLocalLeaderboard, createHttpLeaderboard, HttpError, keepTopScores } from './adapters.js';
+
+export const LEADERBOARD_SIZE = 10;
+const RETRY_INTERVAL_MS = 30000;
+
+export const localLeaderboard = createLocalLeaderboard({ storage, limit: LEADERBOARD_SIZE });
+
+const remoteUrl = import.meta.env?.VITE_LEADERBOARD_URL;
+export const remoteLeaderboard = remoteUrl
+  ? createHttpLeaderboard({ baseUrl: remoteUrl, storage })
+  : null;
+
+export const getLeaderboard = () => storage.get('leaderboard');
+
+/**
+ * Returns the updated local leaderboard; the remote submission runs in the background.
+ * `difficulty` tags runs played on a difficulty preset other than the mode's own.
+ */
+export const saveScore = (score, replayId = null, player = null, mode = DEFAULT_MODE, difficulty = null) => {
+  const entry = {
+    score,
+    date: new Date().toISOString(),
+    id: Date.now(),
+    mode,
+    replayId,
+    playerId: player?.id ?? null,
+    playerName: player?.name ?? null,
+    difficulty
+  };
+  // Storage writes are synchronous, so the local board is updated on return
+  localLeaderboard.submitScore(entry);
+  remoteLeaderboard?.submitScore(entry).catch(() => {
+    // Left in the offline queue; retried by watchRemoteQueue
+  });
+  return getLeaderboard();
+};
+
+export const getModeScores = (leaderboard, mode) =>
+  leaderboard.filter(entry => entry.mode === mode);
+
+export const isTopScore = (leaderboard, score, mode = DEFAULT_MODE) => {
+  const scores = getModeScores(leaderboard, mode);
+  return score > 0 &&
+    (scores.length < LEADERBOARD_SIZE || score > scores[scores.length - 1].score);
+};
+
+// Retries queued submissions when the browser comes back online and periodically
+export const watchRemoteQueue = () => {
+  if (!remoteLeaderboard) return () => {};
+
+  const retry = () => {
+    if (remoteLeaderboard.pendingCount() > 0) {
+      remoteLeaderboard.flush().catch(() => {});
+    }
+  };
+
+  retry();
+  const timer = setInterval(retry, RETRY_INTERVAL_MS);
+  window.addEventListener('online', retry);
+  return () => {
+    clearInterval(timer);
+    window.removeEventListener('online', retry);
+  };
+};
@@ -0,0 +1,210 @@
+/**
+ * Player profiles - names, best scores per mode, coins and the wardrobe.
+ * The helpers are pure and return an updated store; `saveProfiles` writes it.
+ * Where a name may be missing, the caller passes `defaultName`, the
+ * translated word for a player, since profiles have no locale of their own.
+ */
+
+import { storage } from '../storage/index.js';
+import { combineLeaderboards } from '../storage/transfer.js';
+import { LEADERBOARD_SIZE, getLeaderboard } from '../leaderboard/index.js';
+import { DEFAULT_MODE, RANKED_MODES } from '../game/modes.js';
+import { DEFAULT_LOOK, LEGACY_THEME_LOOKS, getItemKey } from '../game/themes.js';
+import { isDailyBoard } from '../daily/index.js';
+
+export const PROFILE_NAME_LENGTH = 20;
+
+export const getProfiles = () => storage.get('profiles');
+
+export const saveProfiles = (store) => storage.set('profiles', store);
+
+export const normalizeName = (name) =>
+  String(name ?? '').trim().slice(0, PROFILE_NAME_LENGTH);
+
+export const getActiveProfile = (store) =>
+  store.profiles.find(profile => profile.id === store.activeId) || null;
+
+const createProfile = (store, name) => {
+  const profile = {
+    // Unique even when several profiles are created within one millisecond
+    id: Math.max(Date.now(), ...store.profiles.map(existing => existing.id + 1)),
+    name: normalizeName(name),
+    bests: {},
+    coins: 0,
+    createdAt: new Date().toISOString()
+  };
+  return { profiles: [...store.profiles, profile], activeId: profile.id };
+};
+
+// Finds the profile with this name, creating it if needed; keeps the active one
+const ensureProfile = (store, name, defaultName) => {
+  const normalized = normalizeName(name) || normalizeName(defaultName);
+  const existing = store.profiles.find(profile =>
+    profile.name.toLowerCase() === normalized.toLowerCase()
+  );
+  if (existing) return { store, profile: existing };
+
+  const created = createProfile(store, normalized);
+  return {
+    store: { ...created, activeId: store.activeId },
+    profile: getActiveProfile(created)
+  };
+};
+
+// Selects the profile with this name, creating it if needed
+export const selectProfileByName = (store, name, defaultName) => {
+  const { store: updated, profile } = ensureProfile(store, name, defaultName);
+  return { ...updated, activeId: profile.id };
+};
+
+export const renameProfile = (store, id, name) => ({
+  ...store,
+  profiles: store.profiles.map(profile =>
+    profile.id === id ? { ...profile, name: normalizeName(name) || profile.name } : profile
+  )
+});
+
+export const deleteProfile = (store, id) => {
+  const profiles = store.profiles.filter(profile => profile.id !== id);
+  const activeId = store.activeId === id ? profiles[0]?.id ?? null : store.activeId;
+  return { profiles, activeId };
+};
+
+export const getBestScore = (profile, mode) => profile?.bests[mode] ?? 0;
+
+// Best scores are kept per game mode
+export const recordProfileScore = (store, id, score, mode) => ({
+  ...store,
+  profiles: store.profiles.map(profile => profile.id === id
+    ? { ...profile, bests: { ...profile.bests, [mode]: Math.max(getBestScore(profile, mode), score) } }
+    : profile)
+});
+
+export const getCoins = (profile) => profile?.coins ?? 0;
+
+export const addProfileCoins = (store, id, coins) => ({
+  ...store,
+  profiles: store.profiles.map(profile =>
+    profile.id === id ? { ...profile, coins: getCoins(profile) + coins } : profile
+  )
+});
+
+export const getWardrobe = (profile) => ({
+  owned: profile?.wardrobe?.owned ?? [],
+  equipped: { ...DEFAULT_LOOK, ...profile?.wardrobe?.equipped }
+});
+
+// Score unlocks count the best result over the ranked modes
+export const getUnlockProgress = (profile) => ({
+  owned: getWardrobe(profile).owned,
+  bestScore: Math.max(0, ...RANKED_MODES.map(mode => getBestScore(profile, mode)))
+});
+
+export const equipItem = (store, id, slotId, itemId) => ({
+  ...store,
+  profiles: store.profiles.map(profile => {
+    if (profile.id !== id) return profile;
+    const wardrobe = getWardrobe(profile);
+    return { ...profile, wardrobe: { ...wardrobe, equipped: { ...wardrobe.equipped, [slotId]: itemId } } };
+  })
+});
+
+// Spends the coins and equips the item straight away
+export const buyItem = (store, id, slotId, item) => ({
+  ...store,
+  profiles: store.profiles.map(profile => {
+    if (profile.id !== id || getCoins(profile) < item.unlock.price) return profile;
+    const wardrobe = getWardrobe(profile);
+    return {
+      ...profile,
+      coins: getCoins(profile) - item.unlock.price,
+      wardrobe: {
+        owned: [...wardrobe.owned, getItemKey(slotId, item.id)],
+        equipped: { ...wardrobe.equipped, [slotId]: item.id }
+      }
+    };
+  })
+});
+
+// Older leaderboards have anonymous entries; hand them to a shared profile
+export const migrateLegacyScores = (defaultName) => {
+  let store = getProfiles();
+  const leaderboard = getLeaderboard();
+  const legacy = leaderboard.filter(entry => entry.legacy);
+  if (legacy.length === 0) return store;
+
+  const activeId = store.activeId;
+  store = selectProfileByName(store, defaultName);
+  const player = getActiveProfile(store);
+  store = recordProfileScore(store, player.id, Math.max(...legacy.map(entry => entry.score)), DEFAULT_MODE);
+  store = { ...store, activeId: activeId ?? player.id };
+
+  storage.set('leaderboard', leaderboard.map(({ legacy: isLegacy, ...entry }) => isLegacy
+    ? { ...entry, playerId: player.id, playerName: player.name }
+    : entry));
+  return saveProfiles(store);
+};
+
+/**
+ * The colour theme used to be one setting for everybody; every player gets
+ * the matching wardrobe pieces equipped. Without any profile yet the theme is
+ * kept in the settings until one exists.
+ */
+export const migrateLegacyTheme = (profileStore) => {
+  const { legacyTheme, ...settings } = storage.get('settings');
+  if (!legacyTheme || profileStore.profiles.length === 0) return profileStore;
+
+  storage.set('settings', settings);
+  const look = LEGACY_THEME_LOOKS[legacyTheme];
+  if (!look) return profileStore;
+  return saveProfiles({
+    ...profileStore,
+    profiles: profileStore.profiles.map(profile => {
+      const wardrobe = getWardrobe(profile);
+      return { ...profile, wardrobe: { ...wardrobe, equipped: { ...wardrobe.equipped, ...look } } };
+    })
+  });
+};
+
+// Leaderboard import - incoming players are matched to local profiles by name
+export const importLeaderboard = (profileStore, { entries, players }, mode, defaultName) => {
+  let store = profileStore;
+  const resolvePlayer = (name) => {
+    const result = ensureProfile(store, name, defaultName);
+    store = result.store;
+    return result.profile;
+  };
+
+  players.forEach(player => {
+    const profile = resolvePlayer(player.name);
+    Object.entries(player.bests)
+      .filter(([gameMode]) => !isDailyBoard(gameMode))
+      .forEach(([gameMode, best]) => {
+        store = recordProfileScore(store, profile.id, best, gameMode);
+      });
+  });
+
+  const remapped = entries.map(entry => {
+    if (!entry.playerName) return { ...entry, playerId: null };
+    const profile = resolvePlayer(entry.playerName);
+    if (!isDailyBoard(entry.mode)) {
+      store = recordProfileScore(store, profile.id, entry.score, entry.mode);
+    }
+    return { ...entry, playerId: profile.id, playerName: profile.name };
+  });
+
+  const leaderboard = combineLeaderboards(getLeaderboard(), remapped, {
+    mode,
+    limit: LEADERBOARD_SIZE
+  });
+  return {
+    leaderboard: storage.set('leaderboard', leaderboard),
+    profiles: saveProfiles(store)
+  };
+};
+
+// Current profile name, or the name saved with the entry if it was deleted
+export const getEntryPlayerName = (store, entry, defaultName) =>
+  store.profiles.find(profile => profile.id === entry.playerId)?.name ??
+  entry.playerName ??
+  `${defaultName} ${entry.id.toString().slice(-4)}`;
@@ -0,0 +1,121 @@
+/**
+ * Run history and statistics - every finished run is recorded the moment it
+ * ends; the stats view summarises the history with the pure helpers below.
+ */
+
+import { storage } from '../storage/index.js';
+import { TICKS_PER_SECOND } from '../game/modes.js';
+
+// The oldest runs are dropped past this, to stay well inside the storage quota
+export const RUN_HISTORY_LIMIT = 5000;
+// Runs scoring at least this many points in a row make a streak
+export const STREAK_SCORE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getRuns = () => storage.get('runs');
+
+/**
+ * Appends a finished run to the history and returns it.
+ *
+ * @param {object} run - `{ playerId, mode, difficulty, seed, score, coins, flaps,
+ *   ticks, cause, replayId }`; the duration is stored in seconds
+ */
+export const recordRun = ({ ticks, ...details }) => {
+  const run = {
+    ...details,
+    id: Date.now(),
+    duration: ticks / TICKS_PER_SECOND,
+    date: new Date().toISOString(),
+  };
+  storage.update('runs', runs => [...runs, run].slice(-RUN_HISTORY_LIMIT));
+  return run;
+};
+
+// Hands a run to the player who claimed it on the game over screen
+export const assignRun = (id, playerId) => {
+  storage.update('runs', runs => runs.map(run => (run.id === id ? { ...run, playerId } : run)));
+};
+
+export const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Calendar day in the player's time zone, as a day count
+const dayNumber = (date) => {
+  const day = new Date(date);
+  return Math.round(Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()) / DAY_MS);
+};
+
+// Longest run of consecutive items passing `check`, and the one still going at the end
+const getStreaks = (items, check) => items.reduce(({ best, current }, item) => {
+  const next = check(item) ? current + 1 : 0;
+  return { best: Math.max(best, next), current: next };
+}, { best: 0, current: 0 });
+
+const getDayStreaks = (runs) => {
+  const days = [...new Set(runs.map(run => dayNumber(run.date)))].sort((a, b) => a - b);
+  let best = 0;
+  let current = 0;
+  days.forEach((day, i) => {
+    current = i > 0 && day === days[i - 1] + 1 ? current + 1 : 1;
+    best = Math.max(best, current);
+  });
+  // The current streak ends unless the last day played is today or yesterday
+  const today = dayNumber(Date.now());
+  const last = days[days.length - 1];
+  return { best, current: last >= today - 1 ? current : 0 };
+};
+
+/**
+ * Totals over runs in chronological order.
+ *
+ * @returns {{ played: number, best: number, average: number, median: number,
+ *   flaps: number, time: number, scoreStreak: object, dayStreak: object,
+ *   causes: object }} `time` is in seconds; streaks are `{ best, current }`
+ */
+export const summarizeRuns = (runs) => {
+  const scores = runs.map(run => run.score);
+  const total = scores.reduce((sum, score) => sum + score, 0);
+  return {
+    played: runs.length,
+    best: Math.max(0, ...scores),
+    average: runs.length > 0 ? total / runs.length : 0,
+    median: median(scores),
+    flaps: runs.reduce((sum, run) => sum + run.flaps, 0),
+    time: runs.reduce((sum, run) => sum + run.duration, 0),
+    scoreStreak: getStreaks(runs, run => run.score >= STREAK_SCORE),
+    dayStreak: getDayStreaks(runs),
+    causes: runs.reduce((counts, run) => (run.cause
+      ? { ...counts, [run.cause]: (counts[run.cause] ?? 0) + 1 }
+      : counts), {}),
+  };
+};
+
+// Scores grouped into at most `maxBuckets` equal ranges: `[{ from, to, count }]`
+export const getScoreHistogram = (scores, maxBuckets = 10) => {
+  if (scores.length === 0) return [];
+  const top = Math.max(...scores);
+  const size = Math.max(Math.ceil((top + 1) / maxBuckets), 1);
+  const buckets = Array.from({ length: Math.floor(top / size) + 1 }, (_, i) => ({
+    from: i * size,
+    to: (i + 1) * size - 1,
+    count: 0,
+  }));
+  scores.forEach(score => {
+    buckets[Math.floor(score / size)].count += 1;
+  });
+  return buckets;
+};
+
+// Scores over time with a rolling average over the last `window` runs
+export const getProgress = (runs, window = 10) => runs.map((run, i) => {
+  const recent = runs.slice(Math.max(i - window + 1, 0), i + 1);
+  return {
+    score: run.score,
+    average: recent.reduce((sum, { score }) => sum + score, 0) / recent.length,
+  };
+});
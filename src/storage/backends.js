@@ -0,0 +1,73 @@
+/**
+ * Storage backends - interchangeable key/value persistence targets
+ * Every backend exposes `read(key)`, `write(key, value)` and `remove(key)` on
+ * string values. Methods may return promises (IndexedDB) or plain values.
+ */
+
+export const createMemoryBackend = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    name: 'memory',
+    read: (key) => (data.has(key) ? data.get(key) : null),
+    write: (key, value) => {
+      data.set(key, value);
+    },
+    remove: (key) => {
+      data.delete(key);
+    },
+  };
+};
+
+// Returns null when localStorage is missing or blocked (private mode, sandboxed iframes)
+export const createLocalStorageBackend = () => {
+  try {
+    const probe = '__flappyStorageProbe';
+    window.localStorage.setItem(probe, probe);
+    window.localStorage.removeItem(probe);
+  } catch {
+    return null;
+  }
+
+  return {
+    name: 'localStorage',
+    read: (key) => window.localStorage.getItem(key),
+    write: (key, value) => window.localStorage.setItem(key, value),
+    remove: (key) => window.localStorage.removeItem(key),
+  };
+};
+
+const IDB_STORE = 'keyval';
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Returns null when IndexedDB is unavailable
+export const createIndexedDBBackend = (dbName = 'flappyBird') => {
+  if (typeof indexedDB === 'undefined') return null;
+
+  let dbPromise = null;
+  const openDB = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+      dbPromise = requestToPromise(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, action) => {
+    const db = await openDB();
+    const store = db.transaction(IDB_STORE, mode).objectStore(IDB_STORE);
+    return requestToPromise(action(store));
+  };
+
+  return {
+    name: 'indexedDB',
+    read: async (key) => (await withStore('readonly', store => store.get(key))) ?? null,
+    write: (key, value) => withStore('readwrite', store => store.put(value, key)),
+    remove: (key) => withStore('readwrite', store => store.delete(key)),
+  };
+};
@@ -0,0 +1,294 @@
+/**
+ * Collection definitions - storage key, schema version, migrations and
+ * validation for everything the game persists.
+ * `migrations[n]` upgrades data from version n - 1 to version n.
+ * `validate` drops malformed records instead of rejecting the whole collection.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isId = (value) => typeof value === 'number' && Number.isFinite(value);
+const optional = (check) => (value) => value === null || value === undefined || check(value);
+const isString = (value) => typeof value === 'string';
+
+const isBoolean = (value) => typeof value === 'boolean';
+const isVolume = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const oneOf = (options) => (value) => options.includes(value);
+
+const arrayOf = (value, check) => (Array.isArray(value) ? value.filter(check) : []);
+
+// Keeps the valid fields of `value` and fills the rest from `defaults`
+const withDefaults = (value, defaults, checks) => Object.fromEntries(
+  Object.entries(defaults).map(([key, fallback]) => [
+    key,
+    isObject(value) && checks[key](value[key]) ? value[key] : fallback,
+  ])
+);
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  sfxVolume: 0.8,
+  musicVolume: 0.5,
+  sfxMuted: false,
+  musicMuted: false,
+};
+
+const AUDIO_SETTING_CHECKS = {
+  sfxVolume: isVolume,
+  musicVolume: isVolume,
+  sfxMuted: isBoolean,
+  musicMuted: isBoolean,
+};
+
+// Key codes (KeyboardEvent.code) bound to each action
+export const DEFAULT_KEY_BINDINGS = {
+  jump: ['Space', 'ArrowUp'],
+  pause: ['KeyP'],
+  back: ['Escape'],
+};
+
+// Gamepad buttons (standard mapping): any face button flaps, Start pauses, Back leaves
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  jump: [0, 1, 2, 3],
+  pause: [9],
+  back: [8],
+};
+
+const isKeyList = (value) => Array.isArray(value) && value.every(isString);
+const isButtonList = (value) => Array.isArray(value) && value.every(isCount);
+
+export const DEFAULT_SETTINGS = {
+  audio: DEFAULT_AUDIO_SETTINGS,
+  keys: DEFAULT_KEY_BINDINGS,
+  gamepad: DEFAULT_GAMEPAD_BINDINGS,
+  // 'system' follows the prefers-reduced-motion media query
+  reducedMotion: 'system',
+  // 'auto' follows the browser language
+  language: 'auto',
+  showFps: false,
+  difficulty: 'standard',
+  // The autopilot catches the bird when it is about to crash
+  assist: false,
+};
+
+const SETTING_CHECKS = {
+  audio: isObject,
+  keys: isObject,
+  gamepad: isObject,
+  reducedMotion: oneOf(['system', 'on', 'off']),
+  language: oneOf(['auto', 'ru', 'en']),
+  showFps: isBoolean,
+  difficulty: isString,
+  assist: isBoolean,
+};
+
+// Scores recorded before game modes existed were all classic runs
+const addClassicMode = (entries) => arrayOf(entries, isObject).map(entry =>
+  entry.mode === undefined ? { ...entry, mode: 'classic' } : entry
+);
+
+// Dates used to be stored preformatted as dd.mm.yyyy; they become ISO timestamps
+const LEGACY_DATE = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/;
+
+const toISODate = (date) => {
+  const match = LEGACY_DATE.exec(date);
+  if (!match) return date;
+  const [, day, month, year] = match.map(Number);
+  return new Date(year, month - 1, day).toISOString();
+};
+
+const addISODates = (entries) => arrayOf(entries, isObject).map(entry =>
+  isString(entry.date) ? { ...entry, date: toISODate(entry.date) } : entry
+);
+
+const isLeaderboardEntry = (entry) =>
+  isObject(entry) &&
+  isCount(entry.score) &&
+  isId(entry.id) &&
+  isString(entry.date) &&
+  isString(entry.mode) &&
+  optional(isId)(entry.replayId) &&
+  optional(isId)(entry.playerId) &&
+  optional(isString)(entry.playerName) &&
+  optional(isString)(entry.difficulty);
+
+const isReplay = (replay) =>
+  isObject(replay) &&
+  isId(replay.id) &&
+  isCount(replay.seed) &&
+  isCount(replay.width) &&
+  isCount(replay.height) &&
+  Array.isArray(replay.inputs) &&
+  replay.inputs.every(isCount) &&
+  isCount(replay.score) &&
+  isCount(replay.ticks) &&
+  optional(isString)(replay.mode) &&
+  optional(isString)(replay.powerups);
+
+// A finished run in the history; `duration` is in seconds
+const isRun = (run) =>
+  isObject(run) &&
+  isId(run.id) &&
+  optional(isId)(run.playerId) &&
+  isString(run.mode) &&
+  optional(isString)(run.difficulty) &&
+  isCount(run.seed) &&
+  isCount(run.score) &&
+  isCount(run.coins) &&
+  isCount(run.flaps) &&
+  typeof run.duration === 'number' && run.duration >= 0 &&
+  optional(isString)(run.cause) &&
+  isString(run.date) &&
+  optional(isId)(run.replayId);
+
+// Unlock dates and counters of one player's achievements
+const isAchievementRecord = (record) =>
+  isObject(record) &&
+  isObject(record.unlocked) &&
+  Object.values(record.unlocked).every(isString) &&
+  isObject(record.progress) &&
+  Object.values(record.progress).every(isCount);
+
+// Daily challenge attempts and best score per day ('YYYY-MM-DD')
+const isDailyRecord = (record) =>
+  isObject(record) &&
+  isObject(record.days) &&
+  Object.values(record.days).every(day => isObject(day) && isCount(day.attempts) && isCount(day.best));
+
+// Bought cosmetics as 'slot:id' keys and the equipped item id per slot
+const isWardrobe = (wardrobe) =>
+  isObject(wardrobe) &&
+  Array.isArray(wardrobe.owned) &&
+  wardrobe.owned.every(isString) &&
+  isObject(wardrobe.equipped) &&
+  Object.values(wardrobe.equipped).every(isString);
+
+const isProfile = (profile) =>
+  isObject(profile) &&
+  isId(profile.id) &&
+  isString(profile.name) &&
+  profile.name.length > 0 &&
+  isObject(profile.bests) &&
+  Object.values(profile.bests).every(isCount) &&
+  optional(isCount)(profile.coins) &&
+  optional(isWardrobe)(profile.wardrobe);
+
+export const COLLECTIONS = {
+  leaderboard: {
+    key: 'flappyLeaderboard',
+    version: 3,
+    defaults: () => [],
+    migrations: {
+      // Entries saved before profiles existed belong to no player yet
+      1: (entries) => arrayOf(entries, isObject).map(entry =>
+        entry.playerId === undefined ? { ...entry, playerId: null, legacy: true } : entry
+      ),
+      2: addClassicMode,
+      3: addISODates,
+    },
+    validate: (entries) => arrayOf(entries, isLeaderboardEntry),
+  },
+
+  replays: {
+    key: 'flappyReplays',
+    version: 1,
+    defaults: () => ({ recent: [], best: [] }),
+    validate: (store) => ({
+      recent: arrayOf(store?.recent, isReplay),
+      best: arrayOf(store?.best, isReplay),
+    }),
+  },
+
+  profiles: {
+    key: 'flappyProfiles',
+    version: 2,
+    defaults: () => ({ profiles: [], activeId: null }),
+    migrations: {
+      // A single best score becomes the classic entry of the per-mode bests
+      2: (store) => ({
+        ...store,
+        profiles: arrayOf(store?.profiles, isObject).map(({ bestScore, ...profile }) => ({
+          ...profile,
+          bests: profile.bests ?? { classic: bestScore ?? 0 },
+        })),
+      }),
+    },
+    validate: (store) => {
+      const profiles = arrayOf(store?.profiles, isProfile);
+      const activeId = profiles.some(profile => profile.id === store.activeId)
+        ? store.activeId
+        : profiles[0]?.id ?? null;
+      return { profiles, activeId };
+    },
+  },
+
+  // Every finished run, oldest first
+  runs: {
+    key: 'flappyRuns',
+    version: 1,
+    defaults: () => [],
+    validate: (runs) => arrayOf(runs, isRun),
+  },
+
+  // Achievement records keyed by player id ('guest' without a profile)
+  achievements: {
+    key: 'flappyAchievements',
+    version: 1,
+    defaults: () => ({}),
+    validate: (store) => Object.fromEntries(
+      Object.entries(isObject(store) ? store : {}).filter(([, record]) => isAchievementRecord(record))
+    ),
+  },
+
+  // Daily challenge records keyed by player id ('guest' without a profile)
+  daily: {
+    key: 'flappyDaily',
+    version: 1,
+    defaults: () => ({}),
+    validate: (store) => Object.fromEntries(
+      Object.entries(isObject(store) ? store : {}).filter(([, record]) => isDailyRecord(record))
+    ),
+  },
+
+  // Scores waiting to be submitted to the remote leaderboard
+  scoreQueue: {
+    key: 'flappyScoreQueue',
+    version: 3,
+    defaults: () => [],
+    migrations: {
+      2: addClassicMode,
+      3: addISODates,
+    },
+    validate: (entries) => arrayOf(entries, isLeaderboardEntry),
+  },
+
+  settings: {
+    key: 'flappySettings',
+    version: 3,
+    defaults: () => structuredClone(DEFAULT_SETTINGS),
+    migrations: {
+      // 2 only marks the language setting; a stored language was chosen by the player
+      // The colour theme moved into the per-player wardrobe; it is kept as
+      // `legacyTheme` until migrateLegacyTheme (profiles) has equipped it
+      3: (settings) => {
+        if (!isObject(settings)) return settings;
+        const { theme, ...rest } = settings;
+        return theme ? { ...rest, legacyTheme: theme } : rest;
+      },
+    },
+    validate: (settings) => ({
+      ...(isObject(settings) ? settings : {}),
+      ...withDefaults(settings, DEFAULT_SETTINGS, SETTING_CHECKS),
+      audio: withDefaults(settings?.audio, DEFAULT_AUDIO_SETTINGS, AUDIO_SETTING_CHECKS),
+      keys: withDefaults(settings?.keys, DEFAULT_KEY_BINDINGS, {
+        jump: isKeyList,
+        pause: isKeyList,
+        back: isKeyList,
+      }),
+      gamepad: withDefaults(settings?.gamepad, DEFAULT_GAMEPAD_BINDINGS, {
+        jump: isButtonList,
+        pause: isButtonList,
+        back: isButtonList,
+      }),
+    }),
+  },
+};
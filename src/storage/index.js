@@ -0,0 +1,18 @@
+/**
+ * Storage - the app-wide store instance plus the building blocks to make others
+ */
+
+import { createStorage } from './storage.js';
+import { createLocalStorageBackend } from './backends.js';
+import { COLLECTIONS } from './collections.js';
+
+export { createStorage, migrate, NewerVersionError } from './storage.js';
+export { createMemoryBackend, createLocalStorageBackend, createIndexedDBBackend } from './backends.js';
+export { COLLECTIONS } from './collections.js';
+
+const backend = createLocalStorageBackend();
+if (!backend) {
+  console.warn('[storage] localStorage is unavailable, progress is kept for this session only');
+}
+
+export const storage = createStorage({ backend, collections: COLLECTIONS });
@@ -0,0 +1,162 @@
+/**
+ * Versioned storage - one safe API over any backend
+ * Collections are stored as `{ version, data }` envelopes, upgraded through
+ * their migrations on load and validated before the app ever sees them.
+ * Reads are served from an in-memory cache, so a failing or missing backend
+ * degrades to a session-only store instead of crashing the app.
+ */
+
+import { createMemoryBackend } from './backends.js';
+
+const isThenable = (value) => value != null && typeof value.then === 'function';
+
+// Data written by a newer version of the game; it is left alone, not reset
+export class NewerVersionError extends Error {
+  constructor(version, supported) {
+    super(`version ${version} is newer than supported ${supported}`);
+    this.name = 'NewerVersionError';
+    this.version = version;
+  }
+}
+
+const isEnvelope = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Number.isInteger(value.version) &&
+  'data' in value;
+
+/**
+ * Upgrades stored data to the collection's current version.
+ * Data saved before versioning existed has no envelope and counts as version 0.
+ *
+ * @returns {{ data: any, migrated: boolean }}
+ * @throws {NewerVersionError} When the data comes from a newer version of the game
+ */
+export const migrate = (collection, stored) => {
+  let version = 0;
+  let data = stored;
+  if (isEnvelope(stored)) {
+    ({ version, data } = stored);
+  }
+
+  if (version > collection.version) {
+    throw new NewerVersionError(version, collection.version);
+  }
+
+  for (let next = version + 1; next <= collection.version; next++) {
+    const step = collection.migrations?.[next];
+    if (step) data = step(data);
+  }
+
+  return { data: collection.validate(data), migrated: version !== collection.version };
+};
+
+/**
+ * @param {object} options
+ * @param {object|null} options.backend - Preferred backend; null falls back to memory
+ * @param {object} options.collections - Collection definitions keyed by name
+ */
+export const createStorage = ({ backend, collections }) => {
+  const target = backend || createMemoryBackend();
+  const cache = new Map();
+  const dirty = new Set();
+  // Collections stored by a newer version: used with defaults, never written back
+  const readOnly = new Set();
+  const listeners = new Set();
+
+  const notify = (name) => listeners.forEach(listener => listener(name));
+
+  const warn = (message, error) => {
+    console.warn(`[storage] ${message}`, error);
+  };
+
+  const persist = (name) => {
+    if (readOnly.has(name)) return;
+    const collection = collections[name];
+    const text = JSON.stringify({ version: collection.version, data: cache.get(name) });
+    const onError = (error) => warn(`could not save "${collection.key}", keeping it in memory`, error);
+    try {
+      const result = target.write(collection.key, text);
+      if (isThenable(result)) result.catch(onError);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const apply = (name, text) => {
+    // A write made while an async backend was still loading wins
+    if (dirty.has(name)) return;
+
+    const collection = collections[name];
+    if (text == null) return;
+
+    try {
+      const { data, migrated } = migrate(collection, JSON.parse(text));
+      cache.set(name, data);
+      if (migrated) persist(name);
+    } catch (error) {
+      // After a downgrade the stored data is fine, just not ours to change
+      if (error instanceof NewerVersionError) {
+        warn(`"${collection.key}" was saved by a newer version, changes are kept in memory only`, error);
+        readOnly.add(name);
+        return;
+      }
+      // Keep the unreadable payload aside for inspection, then start fresh
+      warn(`"${collection.key}" is corrupt, resetting it`, error);
+      try {
+        const result = target.write(`${collection.key}.corrupt`, text);
+        if (isThenable(result)) result.catch(() => {});
+      } catch {
+        // Nowhere to back it up; the defaults are already in place
+      }
+    }
+  };
+
+  const load = (name) => {
+    const onError = (error) => warn(`could not read "${collections[name].key}"`, error);
+    try {
+      const result = target.read(collections[name].key);
+      if (isThenable(result)) {
+        return result.then(text => apply(name, text), onError);
+      }
+      apply(name, result);
+    } catch (error) {
+      onError(error);
+    }
+    return null;
+  };
+
+  Object.entries(collections).forEach(([name, collection]) => {
+    cache.set(name, collection.defaults());
+  });
+
+  // Synchronous backends are hydrated right here; async ones resolve `ready`
+  const pending = Object.keys(collections).map(load).filter(isThenable);
+  const ready = Promise.all(pending).then(() => {
+    if (pending.length > 0) Object.keys(collections).forEach(notify);
+  });
+
+  const set = (name, value) => {
+    const collection = collections[name];
+    cache.set(name, collection.validate(value));
+    dirty.add(name);
+    persist(name);
+    notify(name);
+    return cache.get(name);
+  };
+
+  return {
+    backendName: target.name,
+    ready,
+    get: (name) => cache.get(name),
+    set,
+    update: (name, updater) => set(name, updater(cache.get(name))),
+    reset: (name) => set(name, collections[name].defaults()),
+    // Listener is called with the collection name after every change
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,184 @@
+/**
+ * Leaderboard transfer - JSON/CSV export and validated import, so results
+ * from several devices can be consolidated.
+ * JSON carries the leaderboard plus player stats; CSV carries the scores only.
+ */
+
+import { COLLECTIONS } from './collections.js';
+import { migrate } from './storage.js';
+import { keepTopScores } from '../leaderboard/adapters.js';
+
+export const EXPORT_FORMAT = 'flappy-leaderboard';
+export const EXPORT_VERSION = 4;
+
+const CSV_COLUMNS = ['id', 'score', 'date', 'mode', 'player_id', 'player_name', 'replay_id', 'difficulty'];
+
+export const serializeJSON = ({ leaderboard, profiles }) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  // Schema versions of the data, so imports run the same migrations as storage
+  versions: { leaderboard: COLLECTIONS.leaderboard.version, profiles: COLLECTIONS.profiles.version },
+  leaderboard,
+  players: profiles.map(({ id, name, bests }) => ({ id, name, bests })),
+}, null, 2);
+
+const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const serializeCSV = ({ leaderboard }) => [
+  CSV_COLUMNS.join(','),
+  ...leaderboard.map(entry => [
+    entry.id,
+    entry.score,
+    entry.date,
+    entry.mode,
+    entry.playerId,
+    entry.playerName,
+    entry.replayId,
+    entry.difficulty,
+  ].map(escapeCSV).join(',')),
+].join('\n');
+
+// RFC 4180 style parser: quoted fields, escaped quotes, CRLF or LF rows
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const toNumber = (value) => (value === '' || value === undefined ? null : Number(value));
+
+// Scores from CSV files and bare arrays have had player ids since the first export
+const FIRST_VERSIONS = { leaderboard: 1, profiles: 1 };
+
+const parseCSV = (text) => {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) {
+    throw new Error('the file is empty');
+  }
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('score')) {
+    throw new Error('CSV has no "score" column');
+  }
+
+  const entries = rows.map(cells => {
+    const row = Object.fromEntries(columns.map((name, i) => [name, cells[i]?.trim() ?? '']));
+    return {
+      id: toNumber(row.id),
+      score: toNumber(row.score),
+      date: row.date,
+      // Files exported before game modes have no mode column
+      mode: row.mode || 'classic',
+      playerId: toNumber(row.player_id),
+      playerName: row.player_name || null,
+      replayId: toNumber(row.replay_id),
+      difficulty: row.difficulty || null,
+    };
+  });
+  return { entries, players: [], versions: FIRST_VERSIONS };
+};
+
+const parseJSON = (text) => {
+  const data = JSON.parse(text);
+  // A bare array of entries is accepted as well as a full export
+  if (Array.isArray(data)) return { entries: data, players: [], versions: FIRST_VERSIONS };
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error('not a leaderboard export');
+  }
+  // Before export version 4 the export version was the leaderboard's schema version
+  const versions = data.versions ?? { leaderboard: data.version, profiles: FIRST_VERSIONS.profiles };
+  if (!Number.isInteger(versions.leaderboard) || !Number.isInteger(versions.profiles)) {
+    throw new Error('not a leaderboard export');
+  }
+  return {
+    entries: Array.isArray(data.leaderboard) ? data.leaderboard : [],
+    players: Array.isArray(data.players) ? data.players : [],
+    versions,
+  };
+};
+
+/**
+ * Parses an exported file. Invalid rows are dropped and counted.
+ *
+ * @returns {{ entries: object[], players: object[], rejected: number }}
+ * @throws {Error} When the file is empty, is neither a leaderboard JSON nor CSV,
+ *   or comes from a newer version of the game
+ */
+export const parseLeaderboardFile = (text) => {
+  const trimmed = text.trim();
+  const parsed = trimmed.startsWith('{') || trimmed.startsWith('[')
+    ? parseJSON(trimmed)
+    : parseCSV(trimmed);
+
+  // Older exports are upgraded the same way stored data is
+  const { versions } = parsed;
+  const entries = migrate(COLLECTIONS.leaderboard, { version: versions.leaderboard, data: parsed.entries }).data;
+  const players = migrate(COLLECTIONS.profiles, {
+    version: versions.profiles,
+    data: { profiles: parsed.players },
+  }).data.profiles;
+  return {
+    entries,
+    players,
+    rejected: parsed.entries.length - entries.length,
+  };
+};
+
+// Same id, or the same player scoring the same in the same mode on the same day
+const isSameEntry = (a, b) =>
+  a.id === b.id ||
+  (a.score === b.score && a.date.slice(0, 10) === b.date.slice(0, 10) && a.mode === b.mode &&
+    (a.playerName ?? null) === (b.playerName ?? null));
+
+export const findDuplicates = (current, incoming) =>
+  incoming.filter(entry => current.some(existing => isSameEntry(existing, entry)));
+
+/**
+ * Combines two leaderboards. `mode` is 'merge' (keep current, add new
+ * non-duplicate entries) or 'replace' (incoming only).
+ */
+export const combineLeaderboards = (current, incoming, { mode, limit }) => {
+  const unique = incoming.filter((entry, index) =>
+    incoming.findIndex(other => isSameEntry(other, entry)) === index
+  );
+  const base = mode === 'replace' ? [] : current;
+  const added = unique.filter(entry => !base.some(existing => isSameEntry(existing, entry)));
+
+  return keepTopScores([...base, ...added], limit);
+};
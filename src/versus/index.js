@@ -0,0 +1,109 @@
+/**
+ * Local versus - two players on one device, either flying at the same time
+ * through one pipe field ('split') or taking turns on the same course
+ * ('turns'). Every bird has an engine of its own; versus rules keep the
+ * difficulty fixed and leave out power-ups, so the pipes never depend on a
+ * score and engines started on the same seed share exactly the same course.
+ */
+
+import { createGame } from '../game/engine.js';
+import { getModeConfig } from '../game/modes.js';
+import { createReplay, recordJump, finishReplay, createReplayGame } from '../game/replay.js';
+
+export const VERSUS_MODE = 'classic';
+export const VERSUS_FORMATS = ['split', 'turns'];
+
+// Keys are `event.code` values; on a touch screen each player taps their own
+// half of the playfield
+export const VERSUS_PLAYERS = [
+  { id: 1, skin: 'classic', keys: ['KeyW'], side: 'left' },
+  { id: 2, skin: 'bluebird', keys: ['ArrowUp'], side: 'right' },
+];
+
+export const getVersusConfig = (dimensions, seed) => ({
+  ...getModeConfig(VERSUS_MODE),
+  difficulty: null,
+  powerups: null,
+  ...dimensions,
+  seed,
+});
+
+// Index of the player a key belongs to, or -1
+export const findVersusPlayer = (code) =>
+  VERSUS_PLAYERS.findIndex(player => player.keys.includes(code));
+
+/**
+ * Wraps the birds of one match or turn. `step(jumps)` takes one input per
+ * player and returns the engine events tagged with `player`; the first flap
+ * starts every bird at once so their engines stay in step.
+ */
+const createVersusRun = (birds, { ghost = null, onStep } = {}) => {
+  const isFinished = () => birds.every(({ game }) => game.getState().status === 'gameover');
+
+  return {
+    birds,
+    ghost,
+    isFinished,
+    step: (jumps) => {
+      const starting = birds.every(({ game }) => game.getState().status === 'ready') &&
+        birds.some(({ player }) => jumps[player]);
+      const events = [];
+      birds.forEach(({ game, player }) => {
+        const frame = game.getState().frame;
+        const result = game.step({ jump: starting || jumps[player] });
+        result.events.forEach(event => events.push({ ...event, player }));
+        onStep?.(result.events, frame);
+      });
+      // The ghost starts with the player and freezes when the player crashes
+      if (ghost && birds.some(({ game }) => game.getState().status === 'playing')) ghost.step();
+      return { events };
+    },
+    // The scenery follows the bird that has flown furthest, i.e. one still flying
+    getLead: () => birds.reduce((lead, bird) =>
+      (bird.game.getState().frame > lead.game.getState().frame ? bird : lead)).game,
+    getResults: () => birds.map(({ game, player }) => ({
+      player,
+      score: game.getState().score,
+      ticks: game.getState().frame,
+    })),
+  };
+};
+
+// Split screen: both birds in one pipe field
+export const createVersusMatch = (config) =>
+  createVersusRun(VERSUS_PLAYERS.map((_, player) => ({ player, game: createGame(config) })));
+
+/**
+ * One turn of a hot-seat match. The jumps are recorded, so the next player can
+ * race this run as a ghost: pass its `getReplay()` as `previous`.
+ */
+export const createVersusTurn = (config, player, previous = null) => {
+  const replay = createReplay(config, VERSUS_MODE);
+  const game = createGame(config);
+  const run = createVersusRun([{ player, game }], {
+    ghost: previous ? createReplayGame(previous) : null,
+    onStep: (events, frame) => {
+      if (events.some(event => event.type === 'flap')) recordJump(replay, frame);
+    },
+  });
+  return {
+    ...run,
+    // Whoever's turn it is may use any player's key or half of the screen
+    step: (jumps) => run.step(VERSUS_PLAYERS.map(() => jumps.some(Boolean))),
+    getReplay: () => finishReplay(replay, {
+      score: game.getState().score,
+      cause: null,
+      frame: game.getState().frame,
+    }),
+  };
+};
+
+/**
+ * Index into `results` of the winner: the higher score, then the longer
+ * flight. Null for a draw.
+ */
+export const getWinner = (results) => {
+  const compare = (a, b) => b.score - a.score || b.ticks - a.ticks;
+  const ranked = results.map((result, index) => ({ ...result, index })).sort(compare);
+  return ranked.length > 1 && compare(ranked[0], ranked[1]) === 0 ? null : ranked[0].index;
+};